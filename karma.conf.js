@@ -50,7 +50,15 @@ module.exports = function(config) {
                 '@babel/transform-runtime',
               ]
             }
-          }
+          },
+          {
+            // webpack would otherwise give the source files the CommonJS
+            // builds of Preact and Relaks, and the tests the ES modules
+            test: /\.mjs$/,
+            resolve: {
+              mainFields: [ 'browser', 'module', 'main' ],
+            },
+          },
         ]
       },
     },
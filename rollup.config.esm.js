@@ -15,6 +15,6 @@ module.exports = [
         presets: [ '@babel/env' ],
       }),
     ],
-    external: [ 'react', 'preact' ],
+    external: [ 'react', 'preact', 'relaks', 'relaks/preact.js', 'react-dom/server.js', 'preact-render-to-string', 'async_hooks', 'stream' ],
   };
 });
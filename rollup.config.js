@@ -13,6 +13,8 @@ module.exports = [
       globals: {
         react: 'React',
         preact: 'Preact',
+        relaks: 'Relaks',
+        'relaks/preact.js': 'Relaks',
       }
     },
     plugins: [
@@ -20,6 +22,6 @@ module.exports = [
         presets: [ '@babel/env' ],
       }),
     ],
-    external: [ 'react', 'preact' ],
+    external: [ 'react', 'preact', 'relaks', 'relaks/preact.js', 'react-dom/server.js', 'preact-render-to-string', 'async_hooks', 'stream' ],
   };
 });
@@ -1,128 +1,386 @@
-import Preact from 'preact';
+import * as Preact from 'preact';
+import Relaks from 'relaks/preact.js';
+import {
+  HarvestPath,
+  HarvestErrorBoundary,
+  HarvestProfile,
+  HarvestOutline,
+  createPublicFunctions,
+  serializeSeeds,
+  formatTrace,
+  formatOutline,
+  harvesting,
+  harvestSignal,
+  abortSession,
+  checkSession,
+  isSessionAborted,
+  trackProgress,
+  getSnapshot,
+  streamContents,
+  notifyProgress,
+  profileRendering,
+  endProfiling,
+  addOutlineNode,
+  setOutlineChildCount,
+  reportRendering,
+  runInSession,
+  retryRendering,
+  limitRenderingTime,
+  recordProgress,
+  withoutRelaksSeeds,
+  isErrorBoundary,
+  isPartial,
+  isStreaming,
+  isAsyncComponent,
+  findSeed,
+  markError,
+  getComponentStack,
+  addSeed,
+  getProgressElement,
+  isPromise,
+} from './shared.mjs';
+
+// Preact's builds mangle the names of its internal properties (_component
+// becomes __c, for instance); the ones used below were checked against the
+// builds of Preact 10.3 to 10.26
+
+// key under which a Suspense boundary is placed among the contexts
+const SuspenseBoundary = Symbol('suspense');
+
+// what the shared code needs to know about Preact
+const adapter = {
+  relaks: Relaks,
+  // the CommonJS build can't provide named exports to webpack; it's missing
+  // from the default export when Babel handles the import, but Relaks
+  // doesn't have hooks for Preact anyway
+  AsyncRenderingCycle: Relaks.AsyncRenderingCycle,
+  harvestTree: function(node, session) {
+    return harvestNode(node, {}, session);
+  },
+  renderComponent,
+  findContext: function(contexts, key) {
+    return contexts[key];
+  },
+  getTypeName,
+  getTypeByName,
+  getSeedType,
+  isValidElement: Preact.isValidElement,
+  createElement: Preact.createElement,
+  createFragment: function(children) {
+    return Preact.createElement(Preact.Fragment, null, children);
+  },
+  loadServerRenderer,
+  renderToString: function(renderer, element, staticMarkup) {
+    // Preact doesn't add anything to the markup for hydration, so there's no
+    // difference between static and regular markup
+    return renderer.renderToString(element);
+  },
+};
 
-let harvestFlag = false;
+const {
+  harvest,
+  harvestProgressively,
+  harvestToString,
+  harvestToNodeStream,
+  harvestToReadableStream,
+  deserializeSeeds,
+  plant,
+} = createPublicFunctions(adapter);
 
 /**
- * Harvest HTML and text nodes
+ * Record in the outline whether a component is sync, async, memo or a context
+ * node, along with the number of children it has rendered
  *
  * @param  {VNode} node
- * @param  {Object|undefined} options
- *
- * @return {Promise<Vnode>}
+ * @param  {Object} target
+ * @param  {VNode|Promise<VNode>} rendered
  */
-function harvest(node, options) {
-  // see if we're collecting seeds
-  const bucket = (options && options.seeds) ? [] : null;
-  let harvested;
-  try {
-    harvestFlag = true;
-    harvested = harvestNode(node, {}, bucket);
-    if (!isPromise(harvested)) {
-      // always return a promise
-      harvested = Promise.resolve(harvested);
-    }
-  } catch (err) {
-    harvested =  Promise.reject(err);
+function outlineComponent(node, target, rendered) {
+  const { outline, type, component } = target;
+  if (!outline) {
+    return;
   }
-  return harvested.then(function(result) {
-    harvestFlag = false;
-    return (bucket) ? bucket : result;
-  }).catch(function(err) {
-    harvestFlag = false;
-    throw err;
-  });
-}
-
-/**
- * Return true when we're in the middle harvesting node
- *
- * @return {Boolean}
- */
-function harvesting() {
-  return harvestFlag;
+  if (isPromise(rendered)) {
+    outline.kind = 'async';
+    return;
+  }
+  if (type.contextType && type.contextType.Consumer === type) {
+    outline.kind = 'context';
+  } else if (!(type.prototype && type.prototype.render instanceof Function) && component.getChildContext) {
+    // context providers add getChildContext() to the component when rendering
+    outline.kind = 'context';
+  } else if (getCompatWrapperKind(node.type) === 'memo') {
+    outline.kind = 'memo';
+  } else {
+    outline.kind = 'sync';
+  }
+  setOutlineChildCount(outline, rendered);
 }
 
 /**
  * Harvest HTML and text nodes
  *
  * @param  {VNode} node
- * @param  {Array<Object>} contexts
- * @param  {undefined|Array}
+ * @param  {Object} contexts
+ * @param  {Object} session
  *
  * @return {VNode|Array|null|Promise<VNode|null>}
  */
-function harvestNode(node, contexts, bucket) {
+function harvestNode(node, contexts, session) {
+  const { bucket, keepTree } = session;
   if (!(node instanceof Object)) {
-		return (!bucket) ? node : null;
+		return (keepTree) ? node : null;
 	}
   const type = getNodeType(node);
-  if (type instanceof Function) {
+  if (isSuspense(type)) {
+    // suspense boundary (preact/compat)
+    const props = getNodeProps(node, type);
+    const children = getNodeChildren(node);
+    const boundary = { suspended: false, waiting: 0 };
+    const innerContexts = { ...contexts, [SuspenseBoundary]: boundary };
+    let newChildren;
+    if (children instanceof Array) {
+      newChildren = harvestNodes(children, innerContexts, session);
+    } else {
+      newChildren = harvestNode(children, innerContexts, session);
+    }
+    const useFallback = function(newChildren) {
+      // use the fallback if a component had suspended instead of waiting
+      return (boundary.suspended) ? harvestNode(props.fallback, contexts, session) : newChildren;
+    };
+    if (isPromise(newChildren)) {
+      return trackProgress(newChildren.then(useFallback), session, function() {
+        // show the fallback while a component is waiting
+        return (boundary.waiting > 0) ? props.fallback : getSnapshot(newChildren);
+      });
+    } else {
+      return useFallback(newChildren);
+    }
+  } else if (type instanceof Function) {
     // it's a component
     const props = getNodeProps(node, type);
-    const rendered = renderComponent(type, props, contexts);
+    // the names of compat wrappers are made from those of the components
+    const name = getComponentName(type);
+    const path = getComponentPath(name, contexts);
+    const layers = getNodeTypeLayers(node);
+    const target = { type, layers, name, props, path, component: null, timedOut: false };
+    checkSession(session);
+    target.outline = addOutlineNode(node, name, props, contexts, session);
+    let rendered;
+    try {
+      rendered = profileRendering(target, contexts, session, function() {
+        return renderComponent(target, contexts, session);
+      });
+    } catch (err) {
+      if (isPromise(err)) {
+        // component is waiting for data (or code, in the case of lazy())
+        return suspendComponent(node, err, target, contexts, session);
+      }
+      return recoverFromError(err, target, contexts, session);
+    }
+    outlineComponent(node, target, rendered);
     if (isPromise(rendered)) {
       // wait for asynchronous rendering to finish
-      return rendered.then(function(rendered) {
-        if (bucket) {
-          bucket.push({
-            type: type,
-            props: props,
-            result: rendered
-          });
+      let harvested;
+      let finished = false;
+      rendered = retryRendering(rendered, target, contexts, session);
+      reportRendering(target, 'pending', session);
+      const promise = limitRenderingTime(rendered, target, session).then(function(rendered) {
+        endProfiling(target, session);
+        reportRendering(target, 'completed', session);
+        if (bucket && !target.timedOut) {
+          addSeed(target, rendered, session);
         }
-        return harvestNode(rendered, contexts, bucket);
+        setOutlineChildCount(target.outline, rendered);
+        harvested = harvestChildren(rendered, target, contexts, session);
+        finished = true;
+        notifyProgress(session);
+        return harvested;
+      }, function(err) {
+        endProfiling(target, session);
+        reportRendering(target, 'failed', session);
+        harvested = recoverFromError(err, target, contexts, session);
+        finished = true;
+        notifyProgress(session);
+        return harvested;
+      });
+      if (isStreaming(contexts, session)) {
+        return streamContents(promise, getProgressElement(target), session);
+      }
+      return trackProgress(promise, session, function() {
+        return (finished) ? getSnapshot(harvested) : getProgressElement(target);
       });
     } else {
       // harvest what was rendered
-      if (rendered instanceof Array) {
-        return harvestNodes(rendered, contexts, bucket);
-      } else {
-        return harvestNode(rendered, contexts, bucket);
-      }
+      return harvestChildren(rendered, target, contexts, session);
     }
   } else {
     // harvest HTML+text nodes from children
     const children = getNodeChildren(node);
     let newChildren;
     if (children instanceof Array) {
-      newChildren = harvestNodes(children, contexts, bucket);
+      newChildren = harvestNodes(children, contexts, session);
     } else {
-      newChildren = harvestNode(children, contexts, bucket);
+      newChildren = harvestNode(children, contexts, session);
     }
     if (newChildren === children) {
       // no change
-      return (!bucket) ? node : null;
+      return (keepTree) ? node : null;
     }
     if (isPromise(newChildren)) {
       // wait for asynchrounous rendering of children
-      return newChildren.then(function(newChildren) {
-        return (!bucket) ? replaceChildren(node, newChildren) : null;
+      const promise = newChildren.then(function(newChildren) {
+        return (keepTree) ? replaceChildren(node, newChildren) : null;
+      });
+      return trackProgress(promise, session, function() {
+        return replaceChildren(node, getSnapshot(newChildren));
       });
     } else {
       // return new node with new children immediately
-      return (!bucket) ? replaceChildren(node, newChildren) : null;
+      return (keepTree) ? replaceChildren(node, newChildren) : null;
     }
   }
 }
 
+/**
+ * Harvest what a component has rendered, catching errors from the subtree
+ * when the component is an error boundary
+ *
+ * @param  {VNode|Array|null} rendered
+ * @param  {Object} target
+ * @param  {Object} contexts
+ * @param  {Object} session
+ *
+ * @return {VNode|Array|null|Promise<VNode|Array|null>}
+ */
+function harvestChildren(rendered, target, contexts, session) {
+  // let the children know where they are
+  const childContexts = getChildContexts(target, contexts);
+  const harvestRendered = function(rendered, contexts) {
+    if (rendered instanceof Array) {
+      return harvestNodes(rendered, contexts, session);
+    } else {
+      return harvestNode(rendered, contexts, session);
+    }
+  };
+  if (!isErrorBoundary(target.type)) {
+    return harvestRendered(rendered, childContexts);
+  }
+  const innerContexts = { ...childContexts, [HarvestErrorBoundary]: target };
+  const recover = function(err) {
+    if (isSessionAborted(session)) {
+      throw err;
+    }
+    // errors from the fallback go to the next boundary up
+    return harvestRendered(catchError(err, target), childContexts);
+  };
+  let harvested;
+  try {
+    harvested = harvestRendered(rendered, innerContexts);
+  } catch (err) {
+    return recover(err);
+  }
+  if (isPromise(harvested)) {
+    const promise = harvested.catch(recover);
+    if (isStreaming(contexts, session)) {
+      return streamContents(promise, null, session);
+    }
+    return trackProgress(promise, session, function() {
+      return getSnapshot(harvested);
+    });
+  } else {
+    return harvested;
+  }
+}
+
+/**
+ * Handle an error from a component, replacing the component with a fallback
+ * when the harvest is allowed to partially fail (and there's no error
+ * boundary that would handle the error)
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ * @param  {Object} contexts
+ * @param  {Object} session
+ *
+ * @return {VNode|Array|null|Promise<VNode|Array|null>}
+ */
+function recoverFromError(err, target, contexts, session) {
+  markError(err, target);
+  const { options } = session;
+  if (!isPartial(options) || contexts[HarvestErrorBoundary] || isSessionAborted(session)) {
+    throw err;
+  }
+  const { type, props, path } = target;
+  const error = { error: err, type, props, path };
+  session.errors.push(error);
+  if (options.onError instanceof Function) {
+    options.onError(error);
+  }
+  let fallback;
+  if (options.errorFallback instanceof Function) {
+    fallback = options.errorFallback(error);
+  } else if (options.errorFallback !== undefined) {
+    fallback = options.errorFallback;
+  } else {
+    fallback = getProgressElement(target);
+  }
+  return (fallback instanceof Array) ? harvestNodes(fallback, contexts, session) : harvestNode(fallback, contexts, session);
+}
+
+/**
+ * Let an error boundary handle an error from its subtree, returning what it
+ * renders in the error state
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ *
+ * @return {VNode|null}
+ */
+function catchError(err, target) {
+  const { type, component } = target;
+  component.__s = component.state;
+  if (type.getDerivedStateFromError) {
+    const derivedState = type.getDerivedStateFromError(err);
+    component.state = component.__s = { ...component.state, ...derivedState };
+  }
+  if (component.componentDidCatch) {
+    component.componentDidCatch(err, { componentStack: getComponentStack(err, target) });
+  }
+  component.state = component.__s;
+  const { props, state, context } = component;
+  return component.render(props, state, context);
+}
+
 /**
  * Harvest HTML and text nodes from an array
  *
  * @param  {Array<VNode>} node
- * @param  {Array<Object>} contexts
- * @param  {undefined|Array} bucket
+ * @param  {Object} contexts
+ * @param  {Object} session
  *
  * @return {Array|Promise<Array>}
  */
-function harvestNodes(nodes, contexts, bucket) {
+function harvestNodes(nodes, contexts, session) {
   let changed = false;
   let asyncRenderingRequired = false;
-  const newNodes = nodes.map(function(element) {
+  const newNodes = [];
+  for (let element of nodes) {
     let harvested;
-    if (element instanceof Array) {
-      harvested = harvestNodes(element, contexts, bucket);
-    } else {
-      harvested = harvestNode(element, contexts, bucket);
+    try {
+      if (element instanceof Array) {
+        harvested = harvestNodes(element, contexts, session);
+      } else {
+        harvested = harvestNode(element, contexts, session);
+      }
+    } catch (err) {
+      // the promises from earlier siblings would otherwise end up unhandled
+      for (let node of newNodes) {
+        if (isPromise(node)) {
+          node.catch(function() {});
+        }
+      }
+      throw err;
     }
     if (isPromise(harvested)) {
       asyncRenderingRequired = true;
@@ -130,48 +388,108 @@ function harvestNodes(nodes, contexts, bucket) {
     if (harvested !== element) {
       changed = true;
     }
-    return harvested;
-  });
+    newNodes.push(harvested);
+  }
   if (asyncRenderingRequired) {
-    // wait for promises to resolve
-    return Promise.all(newNodes);
+    // wait for promises to resolve, stopping the others when one fails
+    // (unless an error boundary is there to catch the error)
+    const promise = Promise.all(newNodes).catch(function(err) {
+      if (!contexts[HarvestErrorBoundary]) {
+        abortSession(session, err);
+      }
+      throw err;
+    });
+    return trackProgress(promise, session, function() {
+      return newNodes.map(getSnapshot);
+    });
   } else {
     // return original list if nothing has changed
     return changed ? newNodes : nodes;
   }
 }
 
+/**
+ * Handle a promise thrown by a component, either waiting for it before
+ * rendering the component again or flagging the nearest Suspense boundary
+ * so that its fallback is used
+ *
+ * @param  {VNode} node
+ * @param  {Promise} promise
+ * @param  {Object} target
+ * @param  {Object} contexts
+ * @param  {Object} session
+ *
+ * @return {null|Promise<VNode|null>}
+ */
+function suspendComponent(node, promise, target, contexts, session) {
+  const boundary = contexts[SuspenseBoundary];
+  if (boundary && session.options.suspenseFallback) {
+    boundary.suspended = true;
+    return null;
+  }
+  if (boundary) {
+    boundary.waiting++;
+  }
+  const rerendered = limitRenderingTime(promise, target, session).then(function() {
+    if (boundary) {
+      boundary.waiting--;
+    }
+    if (target.timedOut) {
+      if (boundary) {
+        boundary.suspended = true;
+      }
+      return null;
+    }
+    const harvested = harvestNode(node, contexts, session);
+    notifyProgress(session);
+    return harvested;
+  });
+  return (isStreaming(contexts, session)) ? streamContents(rerendered, null, session) : rerendered;
+}
+
 /**
  * Create an instance of a component and call its render method
  *
- * @param  {Function} type
- * @param  {Object} props
- * @param  {Array<Object>} contexts
+ * @param  {Object} target
+ * @param  {Object} contexts
+ * @param  {Object} session
  *
  * @return {VNode|Promise<VNode>}
  */
-function renderComponent(type, props, contexts) {
-  if (type.prototype && type.prototype.render instanceof Function) {
-    // class-based component
-    return renderClassComponent(type, props, contexts);
-  } else {
-    // hook-based component
-    return renderHookComponent(type, props, contexts);
-  }
+function renderComponent(target, contexts, session) {
+  const { type, props } = target;
+  return runInSession(session, function() {
+    if (type.prototype && type.prototype.render instanceof Function) {
+      // class-based component
+      target.component = createClassComponent(type, props, contexts);
+      return recordProgress(target, function() {
+        return renderClassComponent(target);
+      }, adapter);
+    } else {
+      // hook-based component
+      target.component = createHookComponent(type, props, contexts);
+      return recordProgress(target, function() {
+        return renderHookComponent(target);
+      }, adapter);
+    }
+  });
 }
 
 /**
- * Create an instance of a class component and call its render method
+ * Create an instance of a class component, taking it up to the point
+ * just before rendering
  *
  * @param  {Function} componentClass
  * @param  {Object} props
  * @param  {Object} contexts
  *
- * @return {VNode|Promise<VNode>}
+ * @return {Component}
  */
-function renderClassComponent(cls, props, contexts) {
-  const component = new cls(props);
+function createClassComponent(cls, props, contexts) {
+  const context = getContext(contexts, cls.contextType);
+  const component = new cls(props, context);
   component.props = props;
+  component.context = context;
   if (!component.state) {
     component.state = {};
   }
@@ -186,24 +504,81 @@ function renderClassComponent(cls, props, contexts) {
     component.UNSAFE_componentWillMount();
   }
   component.state = component.__s;
+  return component;
+}
+
+/**
+ * Call the render method of a class component
+ *
+ * @param  {Object} target
+ *
+ * @return {VNode|Promise<VNode>}
+ */
+function renderClassComponent(target) {
+  const { component } = target;
+  const { props, state, context } = component;
   if (isAsyncComponent(component)) {
-    return component.renderAsyncEx(props, component.state);
+    // use the seed planted for the component if there's one
+    const seed = findSeed(target, adapter);
+    return (seed) ? seed.result : withoutRelaksSeeds(function() {
+      return component.renderAsyncEx(props, state);
+    }, adapter);
   } else {
-    return component.render(props, component.state);
+    return component.render(props, state, context);
   }
 }
 
 /**
  * Render a functional component
  *
+ * @param  {Object} target
+ *
+ * @return {VNode|Promise<VNode>}
+ */
+function renderHookComponent(target) {
+  const { component } = target;
+  const { options } = Preact;
+  const vnode = component.__v;
+  const func = vnode.type;
+  const { props } = component;
+  if (options.__r) {
+    // options._render (name is mangled), used by preact/hooks to find the
+    // component being rendered
+    options.__r(vnode);
+  }
+  if (func.renderAsyncEx) {
+    const seed = findSeed(target, adapter);
+    return (seed) ? seed.result : withoutRelaksSeeds(function() {
+      return func.renderAsyncEx.call(component, props);
+    }, adapter);
+  } else {
+    const context = getContext(component.context, func.contextType);
+    return func.call(component, props, context);
+  }
+}
+
+/**
+ * Create an object that preact/hooks would accept as the component being
+ * rendered, with state changes and effects going nowhere
+ *
  * @param  {Function} func
  * @param  {Object} props
- * @param  {Array<Object>} contexts
+ * @param  {Object} contexts
  *
- * @return {VNode|Promise<VNode>}
+ * @return {Object}
  */
-function renderHookComponent(func, props, contexts) {
-  return func(props);
+function createHookComponent(func, props, contexts) {
+  const vnode = { type: func, props };
+  const component = vnode.__c = {
+    __v: vnode,       // _vnode
+    __h: [],          // _renderCallbacks
+    props,
+    state: {},
+    context: contexts,
+    setState: function() {},
+    forceUpdate: function() {},
+  };
+  return component;
 }
 
 /**
@@ -230,8 +605,118 @@ function getNodeType(node) {
     return node.nodeName;
   }
   if (node.type) {
-    return node.type;
+    // look through memo wrappers
+    let type = node.type;
+    let innerType;
+    while ((innerType = unwrapType(type, node.props))) {
+      type = innerType;
+    }
+    return type;
+  }
+}
+
+/**
+ * Return the type of a node along with the ones it wraps, starting with the
+ * outermost
+ *
+ * @param  {VNode} node
+ *
+ * @return {Array<Function>}
+ */
+function getNodeTypeLayers(node) {
+  const layers = [];
+  for (let type = node.type; type; type = unwrapType(type, node.props)) {
+    layers.push(type);
+  }
+  return layers;
+}
+
+/**
+ * Return the component wrapped by memo() from preact/compat
+ *
+ * @param  {Function|String} type
+ * @param  {Object} props
+ *
+ * @return {Function|undefined}
+ */
+function unwrapType(type, props) {
+  if (getCompatWrapperKind(type) === 'memo') {
+    // the wrapper doesn't keep the component anywhere, but it only creates
+    // an element of it with the same props
+    const element = type.call({}, props);
+    return element.type;
+  }
+}
+
+/**
+ * Return "memo" or "forwardRef" if the given type is a wrapper created by
+ * memo() or forwardRef() from preact/compat
+ *
+ * @param  {Function|String} type
+ *
+ * @return {String|undefined}
+ */
+function getCompatWrapperKind(type) {
+  if (!(type instanceof Function) || !(type.prototype instanceof Object) || type.prototype.isReactComponent !== true) {
+    return;
+  }
+  // both wrappers have _forwarded set, which is mangled into t in Preact 10.3
+  // and __f from 10.4 onward
+  if (type.__f !== true && type.t !== true) {
+    return;
+  }
+  // they can only be told apart by their names
+  if (/^Memo\(/.test(type.displayName)) {
+    return 'memo';
+  } else if (/^ForwardRef\(/.test(type.displayName)) {
+    return 'forwardRef';
+  }
+}
+
+/**
+ * Return the value of a context created by createContext(), or the legacy
+ * context object when no context type is given
+ *
+ * @param  {Object} contexts
+ * @param  {Object} contextType
+ *
+ * @return {*}
+ */
+function getContext(contexts, contextType) {
+  if (contextType) {
+    // names are mangled (_id and _defaultValue)
+    const provider = contexts[contextType.__c];
+    return (provider) ? provider.props.value : contextType.__;
+  } else {
+    return contexts;
+  }
+}
+
+/**
+ * Return the contexts available to the children of a component, which
+ * would include the one from a context provider and the path of the
+ * component
+ *
+ * @param  {Object} target
+ * @param  {Object} contexts
+ *
+ * @return {Object}
+ */
+function getChildContexts(target, contexts) {
+  const { component, path, profile, outline } = target;
+  let childContexts;
+  if (component && component.getChildContext instanceof Function) {
+    childContexts = { ...contexts, ...component.getChildContext(), [HarvestPath]: path };
+  } else {
+    childContexts = { ...contexts, [HarvestPath]: path };
+  }
+  if (profile) {
+    childContexts[HarvestProfile] = profile;
   }
+  if (outline) {
+    childContexts[HarvestOutline] = outline;
+  }
+  return childContexts;
 }
 
 /**
@@ -251,10 +736,12 @@ function getNodeProps(node, type) {
     props = { ...node.props };
   }
 
-  // apply default props
-  for (let name in type.defaultProps) {
-    if (props[name] === undefined) {
-      props[name] = type.defaultProps[name];
+  // apply default props, starting with those of the outermost wrapper
+  for (let wrapperType = node.type || type; wrapperType; wrapperType = unwrapType(wrapperType, node.props)) {
+    for (let name in wrapperType.defaultProps) {
+      if (props[name] === undefined) {
+        props[name] = wrapperType.defaultProps[name];
+      }
     }
   }
 	return props;
@@ -277,28 +764,128 @@ function getNodeChildren(node) {
 }
 
 /**
- * Return true if the given component is an AsyncComponent
+ * Return true if the given type is Suspense from preact/compat
  *
- * @param  {Object}  component
+ * @param  {Function} type
  *
  * @return {Boolean}
  */
-function isAsyncComponent(component) {
-  return (component.relaks && component.renderAsync instanceof Function);
+function isSuspense(type) {
+  // Suspense has _childDidSuspend() (name is mangled), which is how
+  // preact/compat itself finds the boundary
+  return (type instanceof Function && type.prototype instanceof Object && type.prototype.__c instanceof Function);
 }
 
 /**
- * Return true if given value hold a promise
+ * Return the path of a component, made up of its name and those of its
+ * ancestors
  *
- * @param  {*}  value
+ * @param  {String} name
+ * @param  {Object} contexts
  *
- * @return {Boolean}
+ * @return {String}
+ */
+function getComponentPath(name, contexts) {
+  const parentPath = contexts[HarvestPath];
+  return (parentPath) ? `${parentPath}/${name}` : name;
+}
+
+/**
+ * Return the name of a component
+ *
+ * @param  {Function|Object} type
+ *
+ * @return {String}
+ */
+function getComponentName(type) {
+  if (getCompatWrapperKind(type) === 'forwardRef') {
+    // use the name of the render function, like the React build does
+    return type.displayName.slice(11, -1) || 'Anonymous';
+  }
+  return type.displayName || type.name || 'Anonymous';
+}
+
+/**
+ * Return a string identifying an element type
+ *
+ * @param  {String|Function|Object} type
+ *
+ * @return {String}
+ */
+function getTypeName(type) {
+  if (typeof(type) === 'string') {
+    return type;
+  } else if (type === Preact.Fragment) {
+    return '#fragment';
+  } else {
+    return '@' + getComponentName(type);
+  }
+}
+
+/**
+ * Return the element type identified by a string from getTypeName()
+ *
+ * @param  {String} name
+ * @param  {Object} components
+ *
+ * @return {String|Function|Object}
+ */
+function getTypeByName(name, components) {
+  if (name.charAt(0) === '@') {
+    const type = components[name.substr(1)];
+    if (!type) {
+      throw new Error(`Unknown component: ${name.substr(1)}`);
+    }
+    return type;
+  } else if (name === '#fragment') {
+    return Preact.Fragment;
+  } else {
+    return name;
+  }
+}
+
+/**
+ * Return the component of a keyed seed, or its name if the component isn't
+ * among the ones given
+ *
+ * @param  {String} name
+ * @param  {Object} components
+ *
+ * @return {Function|String}
  */
-function isPromise(value) {
-  return (value instanceof Object && value.then instanceof Function);
+function getSeedType(name, components) {
+  return components[name] || name;
+}
+
+/**
+ * Load preact-render-to-string, which is only needed by the functions that
+ * produce HTML
+ *
+ * @return {Promise<Object>}
+ */
+function loadServerRenderer() {
+  return import('preact-render-to-string').then(function(module) {
+    if (module.renderToString instanceof Function) {
+      return module;
+    }
+    // CommonJS module might show up as the default export, which is the
+    // render function itself in version 5
+    const renderer = module.default;
+    return (renderer.renderToString instanceof Function) ? renderer : { renderToString: renderer };
+  });
 }
 
 export {
 	harvest,
+  harvestProgressively,
+  harvestToString,
+  harvestToNodeStream,
+  harvestToReadableStream,
+  serializeSeeds,
+  deserializeSeeds,
+  formatTrace,
+  formatOutline,
+  plant,
   harvesting,
+  harvestSignal,
 };
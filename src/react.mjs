@@ -1,49 +1,115 @@
 import React from 'react';
+import Relaks, { AsyncRenderingCycle } from 'relaks';
+import {
+  HarvestPath,
+  HarvestErrorBoundary,
+  HarvestProfile,
+  HarvestOutline,
+  createPublicFunctions,
+  serializeSeeds,
+  formatTrace,
+  formatOutline,
+  harvesting,
+  harvestSignal,
+  abortSession,
+  checkSession,
+  isSessionAborted,
+  trackProgress,
+  getSnapshot,
+  streamContents,
+  notifyProgress,
+  profileRendering,
+  endProfiling,
+  addOutlineNode,
+  setOutlineChildCount,
+  reportRendering,
+  runInSession,
+  retryRendering,
+  limitRenderingTime,
+  recordProgress,
+  withoutRelaksSeeds,
+  isErrorBoundary,
+  isPartial,
+  isStreaming,
+  isAsyncComponent,
+  findSeed,
+  markError,
+  getComponentStack,
+  addSeed,
+  getProgressElement,
+  getTime,
+  isPromise,
+} from './shared.mjs';
 
 const ReactMemo = Symbol.for('react.memo');
+const ReactForwardRef = Symbol.for('react.forward_ref');
+const ReactLazy = Symbol.for('react.lazy');
 const ReactProvider = Symbol.for('react.provider');
 const ReactContext = Symbol.for('react.context');
+const ReactSuspense = Symbol.for('react.suspense');
+const ReactFragment = Symbol.for('react.fragment');
+const ReactStrictMode = Symbol.for('react.strict_mode');
+const ReactProfiler = Symbol.for('react.profiler');
+const ReactPortal = Symbol.for('react.portal');
 
-let harvestFlag = false;
+const LazyUninitialized = -1;
+const LazyPending = 0;
+const LazyResolved = 1;
+const LazyRejected = 2;
+
+// what the shared code needs to know about React
+const adapter = {
+  relaks: Relaks,
+  AsyncRenderingCycle,
+  harvestTree: (node, session) => {
+    return harvestNode(node, [], session);
+  },
+  renderComponent,
+  findContext: getContext,
+  getTypeName,
+  getTypeByName,
+  getSeedType,
+  isValidElement: React.isValidElement,
+  createElement: React.createElement,
+  createFragment: (children) => {
+    // prevent warning about missing keys
+    return React.createElement(React.Fragment, null, React.Children.toArray(children));
+  },
+  loadServerRenderer,
+  renderToString: (renderer, element, staticMarkup) => {
+    return (staticMarkup) ? renderer.renderToStaticMarkup(element) : renderer.renderToString(element);
+  },
+};
+
+const {
+  harvest,
+  harvestProgressively,
+  harvestToString,
+  harvestToNodeStream,
+  harvestToReadableStream,
+  deserializeSeeds,
+  plant,
+} = createPublicFunctions(adapter);
 
 /**
- * Harvest HTML and text nodes
+ * Record in the outline whether a component is sync, async or memo, along
+ * with the number of children it has rendered
  *
  * @param  {ReactElement} node
- * @param  {Object|undefined} options
- *
- * @return {Promise<ReactElement>}
+ * @param  {Object} target
+ * @param  {ReactElement|Promise<ReactElement>} rendered
  */
-function harvest(node, options) {
-  // see if we're collecting seeds
-  const bucket = (options && options.seeds) ? [] : null;
-  let harvested;
-  try {
-    harvestFlag = true;
-    harvested = harvestNode(node, [], bucket);
-    if (!isPromise(harvested)) {
-      // always return a promise
-      harvested = Promise.resolve(harvested);
-    }
-  } catch (err) {
-    harvested = Promise.reject(err);
+function outlineComponent(node, target, rendered) {
+  const { outline } = target;
+  if (!outline) {
+    return;
+  }
+  if (isPromise(rendered)) {
+    outline.kind = 'async';
+  } else {
+    outline.kind = (node.type.$$typeof === ReactMemo) ? 'memo' : 'sync';
+    setOutlineChildCount(outline, rendered);
   }
-  return harvested.then((result) => {
-    harvestFlag = false;
-    return (bucket) ? bucket : result;
-  }).catch(function(err) {
-    harvestFlag = false;
-    throw err;
-  });
-}
-
-/**
- * Return true when we're in the middle harvesting node
- *
- * @return {Boolean}
- */
-function harvesting() {
-  return harvestFlag;
 }
 
 /**
@@ -51,76 +117,348 @@ function harvesting() {
  *
  * @param  {ReactElement} node
  * @param  {Array} contexts
- * @param  {undefined|Array}
+ * @param  {Object} session
  *
  * @return {ReactElement|Array|null|Promise<ReactElement|null>}
  */
-function harvestNode(node, contexts, bucket) {
+function harvestNode(node, contexts, session) {
+  const { bucket, keepTree } = session;
   if (!(node instanceof Object)) {
-		return (!bucket) ? node : null;
+		return (keepTree) ? node : null;
 	}
+  if (node.$$typeof === ReactPortal) {
+    // harvest contents of portal separately
+    return harvestPortal(node, contexts, session);
+  }
   const type = getNodeType(node);
   if (!type) {
     return null;
   }
   if (type instanceof Function) {
     // it's a component
-    const props = getNodeProps(node, type);
-    const rendered = renderComponent(type, props, contexts);
+    const props = getNodeProps(node);
+    const ref = getForwardedRef(node);
+    const name = getNodeComponentName(node, type);
+    const path = getComponentPath(name, contexts);
+    const layers = getNodeTypeLayers(node);
+    const target = { type, layers, name, props, ref, path, component: null, timedOut: false };
+    checkSession(session);
+    target.outline = addOutlineNode(node, name, props, contexts, session);
+    let rendered;
+    try {
+      rendered = profileRendering(target, contexts, session, () => {
+        return renderComponent(target, contexts, session);
+      });
+    } catch (err) {
+      if (isPromise(err)) {
+        // component is waiting for data (Suspense)
+        return suspendComponent(node, err, target, contexts, session);
+      }
+      return recoverFromError(err, target, contexts, session);
+    }
+    outlineComponent(node, target, rendered);
     if (isPromise(rendered)) {
       // wait for asynchronous rendering to finish
-      return rendered.then((rendered) => {
-        if (bucket) {
-          bucket.push({
-            type: type,
-            props: props,
-            result: rendered
-          });
+      let harvested;
+      let finished = false;
+      rendered = retryRendering(rendered, target, contexts, session);
+      reportRendering(target, 'pending', session);
+      const promise = limitRenderingTime(rendered, target, session).then((rendered) => {
+        endProfiling(target, session);
+        reportRendering(target, 'completed', session);
+        if (bucket && !target.timedOut) {
+          addSeed(target, rendered, session);
         }
-        return harvestNode(rendered, contexts, bucket);
+        setOutlineChildCount(target.outline, rendered);
+        harvested = harvestChildren(rendered, target, contexts, session);
+        finished = true;
+        notifyProgress(session);
+        return harvested;
+      }, (err) => {
+        endProfiling(target, session);
+        reportRendering(target, 'failed', session);
+        harvested = recoverFromError(err, target, contexts, session);
+        finished = true;
+        notifyProgress(session);
+        return harvested;
+      });
+      if (isStreaming(contexts, session)) {
+        return streamContents(promise, getProgressElement(target), session);
+      }
+      return trackProgress(promise, session, () => {
+        return (finished) ? getSnapshot(harvested) : getProgressElement(target);
       });
     } else {
       // harvest what was rendered
-      return harvestNodes(rendered, contexts, bucket);
+      return harvestChildren(rendered, target, contexts, session);
     }
   } else if (type === ReactProvider) {
     // context provider
-    const props = getNodeProps(node, type);
+    const props = getNodeProps(node);
     const contextType = getNodeContextType(node);
     const children = getNodeChildren(node);
+    const outline = addOutlineNode(node, getContextName(contextType, 'Provider'), props, contexts, session);
     contexts = contexts.slice();
     contexts.push({
       type: contextType,
       value: props.value
     });
-    return harvestNodes(children, contexts, bucket);
+    if (outline) {
+      outline.kind = 'context';
+      setOutlineChildCount(outline, children);
+      contexts.push({ type: HarvestOutline, value: outline });
+    }
+    return harvestNodes(children, contexts, session);
   } else if (type === ReactContext) {
     const func = getNodeChildren(node);
     if (func instanceof Function) {
       const contextType = getNodeContextType(node);
       const context = getContext(contexts, contextType);
       const children = func(context);
-      return harvestNodes(children, contexts, bucket);
+      const outline = addOutlineNode(node, getContextName(contextType, 'Consumer'), getNodeProps(node), contexts, session);
+      if (outline) {
+        outline.kind = 'context';
+        setOutlineChildCount(outline, children);
+        contexts = [ ...contexts, { type: HarvestOutline, value: outline } ];
+      }
+      return harvestNodes(children, contexts, session);
     } else {
       return null;
     }
+  } else if (type === ReactFragment || type === ReactStrictMode) {
+    // add children to the parent's
+    const children = getNodeChildren(node);
+    return harvestNodes(children, contexts, session);
+  } else if (type === ReactProfiler) {
+    // report time it took to harvest the children
+    const props = getNodeProps(node);
+    const children = getNodeChildren(node);
+    const startTime = getTime();
+    const newChildren = harvestNodes(children, contexts, session);
+    const report = (newChildren) => {
+      if (props.onRender instanceof Function) {
+        const endTime = getTime();
+        const duration = endTime - startTime;
+        props.onRender(props.id, 'mount', duration, duration, startTime, endTime);
+      }
+      return newChildren;
+    };
+    if (isPromise(newChildren)) {
+      return trackProgress(newChildren.then(report), session, () => {
+        return getSnapshot(newChildren);
+      });
+    } else {
+      return report(newChildren);
+    }
+  } else if (type === ReactSuspense) {
+    // suspense boundary
+    const props = getNodeProps(node);
+    const children = getNodeChildren(node);
+    const boundary = { suspended: false, waiting: 0 };
+    const innerContexts = contexts.slice();
+    innerContexts.push({
+      type: ReactSuspense,
+      value: boundary
+    });
+    const newChildren = harvestNodes(children, innerContexts, session);
+    const useFallback = (newChildren) => {
+      // use the fallback if a component had suspended instead of waiting
+      return (boundary.suspended) ? harvestNodes(props.fallback, contexts, session) : newChildren;
+    };
+    if (isPromise(newChildren)) {
+      return trackProgress(newChildren.then(useFallback), session, () => {
+        // show the fallback while a component is waiting
+        return (boundary.waiting > 0) ? props.fallback : getSnapshot(newChildren);
+      });
+    } else {
+      return useFallback(newChildren);
+    }
+  } else if (type === ReactLazy) {
+    // component that hasn't been loaded yet
+    checkSession(session);
+    const lazyType = getNodeLazyType(node);
+    const promise = loadLazyType(lazyType).then(() => {
+      const harvested = harvestNode(node, contexts, session);
+      notifyProgress(session);
+      return harvested;
+    });
+    return (isStreaming(contexts, session)) ? streamContents(promise, null, session) : promise;
   } else {
     // harvest HTML+text nodes from children
     const children = getNodeChildren(node);
-    const newChildren = harvestNodes(children, contexts, bucket);
+    const newChildren = harvestNodes(children, contexts, session);
     if (newChildren === children) {
       // no change
-      return (!bucket) ? node : null;
+      return (keepTree) ? node : null;
     }
     if (isPromise(newChildren)) {
       // wait for asynchrounous rendering of children
-      return newChildren.then((newChildren) => {
-        return (!bucket) ? replaceChildren(node, newChildren) : null;
+      const promise = newChildren.then((newChildren) => {
+        return (keepTree) ? replaceChildren(node, newChildren) : null;
+      });
+      return trackProgress(promise, session, () => {
+        return replaceChildren(node, getSnapshot(newChildren));
       });
     } else {
       // return new node with new children immediately
-      return (!bucket) ? replaceChildren(node, newChildren) : null;
+      return (keepTree) ? replaceChildren(node, newChildren) : null;
+    }
+  }
+}
+
+/**
+ * Harvest what a component has rendered, catching errors from the subtree
+ * when the component is an error boundary
+ *
+ * @param  {ReactElement|Array|null} rendered
+ * @param  {Object} target
+ * @param  {Array} contexts
+ * @param  {Object} session
+ *
+ * @return {ReactElement|Array|null|Promise<ReactElement|Array|null>}
+ */
+function harvestChildren(rendered, target, contexts, session) {
+  // let the children know where they are
+  const childContexts = [ ...contexts, { type: HarvestPath, value: target.path } ];
+  if (target.profile) {
+    childContexts.push({ type: HarvestProfile, value: target.profile });
+  }
+  if (target.outline) {
+    childContexts.push({ type: HarvestOutline, value: target.outline });
+  }
+  if (!isErrorBoundary(target.type)) {
+    return harvestNodes(rendered, childContexts, session);
+  }
+  const innerContexts = [ ...childContexts, { type: HarvestErrorBoundary, value: target } ];
+  const recover = (err) => {
+    if (isSessionAborted(session)) {
+      throw err;
+    }
+    // errors from the fallback go to the next boundary up
+    return harvestNodes(catchError(err, target), childContexts, session);
+  };
+  let harvested;
+  try {
+    harvested = harvestNodes(rendered, innerContexts, session);
+  } catch (err) {
+    return recover(err);
+  }
+  if (isPromise(harvested)) {
+    const promise = harvested.catch(recover);
+    if (isStreaming(contexts, session)) {
+      return streamContents(promise, null, session);
     }
+    return trackProgress(promise, session, () => {
+      return getSnapshot(harvested);
+    });
+  } else {
+    return harvested;
+  }
+}
+
+/**
+ * Handle an error from a component, replacing the component with a fallback
+ * when the harvest is allowed to partially fail (and there's no error
+ * boundary that would handle the error)
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ * @param  {Array} contexts
+ * @param  {Object} session
+ *
+ * @return {ReactElement|Array|null|Promise<ReactElement|Array|null>}
+ */
+function recoverFromError(err, target, contexts, session) {
+  markError(err, target);
+  const { options } = session;
+  if (!isPartial(options) || getContext(contexts, HarvestErrorBoundary) || isSessionAborted(session)) {
+    throw err;
+  }
+  const { type, props, path } = target;
+  const error = { error: err, type, props, path };
+  session.errors.push(error);
+  if (options.onError instanceof Function) {
+    options.onError(error);
+  }
+  let fallback;
+  if (options.errorFallback instanceof Function) {
+    fallback = options.errorFallback(error);
+  } else if (options.errorFallback !== undefined) {
+    fallback = options.errorFallback;
+  } else {
+    fallback = getProgressElement(target);
+  }
+  return harvestNodes(fallback, contexts, session);
+}
+
+/**
+ * Let an error boundary handle an error from its subtree, returning what it
+ * renders in the error state
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ *
+ * @return {ReactElement|null}
+ */
+function catchError(err, target) {
+  const { type, component } = target;
+  if (type.getDerivedStateFromError) {
+    const derivedState = type.getDerivedStateFromError(err);
+    component.state = { ...component.state, ...derivedState };
+  }
+  if (component.componentDidCatch) {
+    // allow setState() to be called
+    component.updater = ReactUpdater;
+    component.componentDidCatch(err, { componentStack: getComponentStack(err, target) });
+  }
+  return component.render();
+}
+
+/**
+ * Harvest the children of a portal, placing them in the list of contents
+ * for its container instead of the main tree
+ *
+ * @param  {ReactPortal} portal
+ * @param  {Array} contexts
+ * @param  {Object} session
+ *
+ * @return {null|Promise<null>}
+ */
+function harvestPortal(portal, contexts, session) {
+  const { portals, stream, options } = session;
+  if (stream) {
+    // the contents belong elsewhere in the document, where a stream can't
+    // put them (or anything sent for pending components in them)
+    const err = new Error('The contents of a portal cannot be streamed');
+    const path = getContext(contexts, HarvestPath) || '';
+    const error = { error: err, type: null, props: null, path, container: portal.containerInfo };
+    session.errors.push(error);
+    if (options.onError instanceof Function) {
+      options.onError(error);
+    }
+    return null;
+  }
+  const container = portal.containerInfo;
+  let contents = portals.get(container);
+  if (!contents) {
+    contents = [];
+    portals.set(container, contents);
+  }
+  // reserve a spot so contents are in the same order as in the tree
+  const index = contents.length;
+  contents.push(null);
+  const newChildren = harvestNodes(portal.children, contexts, session);
+  const save = (newChildren) => {
+    contents[index] = newChildren;
+    return null;
+  };
+  if (isPromise(newChildren)) {
+    return trackProgress(newChildren.then(save), session, () => {
+      // the portal leaves nothing in the tree, whether it's done or not
+      return null;
+    });
+  } else {
+    return save(newChildren);
   }
 }
 
@@ -129,22 +467,33 @@ function harvestNode(node, contexts, bucket) {
  *
  * @param  {Array<ReactElement>} node
  * @param  {Object} contexts
- * @param  {undefined|Array} bucket
+ * @param  {Object} session
  *
  * @return {Array|Promise<Array>}
  */
-function harvestNodes(nodes, contexts, bucket) {
+function harvestNodes(nodes, contexts, session) {
   if (!(nodes instanceof Array)) {
-    return harvestNode(nodes, contexts, bucket);
+    return harvestNode(nodes, contexts, session);
   }
   let changed = false;
   let asyncRenderingRequired = false;
-  const newNodes = nodes.map(function(element) {
+  const newNodes = [];
+  for (let element of nodes) {
     let harvested;
-    if (element instanceof Array) {
-      harvested = harvestNodes(element, contexts, bucket);
-    } else {
-      harvested = harvestNode(element, contexts, bucket);
+    try {
+      if (element instanceof Array) {
+        harvested = harvestNodes(element, contexts, session);
+      } else {
+        harvested = harvestNode(element, contexts, session);
+      }
+    } catch (err) {
+      // the promises from earlier siblings would otherwise end up unhandled
+      for (let node of newNodes) {
+        if (isPromise(node)) {
+          node.catch(() => {});
+        }
+      }
+      throw err;
     }
     if (isPromise(harvested)) {
       asyncRenderingRequired = true;
@@ -152,46 +501,103 @@ function harvestNodes(nodes, contexts, bucket) {
     if (harvested !== element) {
       changed = true;
     }
-    return harvested;
-  });
+    newNodes.push(harvested);
+  }
   if (asyncRenderingRequired) {
-    // wait for promises to resolve
-    return Promise.all(newNodes);
+    // wait for promises to resolve, stopping the others when one fails
+    // (unless an error boundary is there to catch the error)
+    const promise = Promise.all(newNodes).catch((err) => {
+      if (!getContext(contexts, HarvestErrorBoundary)) {
+        abortSession(session, err);
+      }
+      throw err;
+    });
+    return trackProgress(promise, session, () => {
+      return newNodes.map(getSnapshot);
+    });
   } else {
     // return original list if nothing has changed
     return changed ? newNodes : nodes;
   }
 }
 
+/**
+ * Handle a promise thrown by a component, either waiting for it before
+ * rendering the component again or flagging the nearest Suspense boundary
+ * so that its fallback is used
+ *
+ * @param  {ReactElement} node
+ * @param  {Promise} promise
+ * @param  {Object} target
+ * @param  {Array<Object>} contexts
+ * @param  {Object} session
+ *
+ * @return {null|Promise<ReactElement|null>}
+ */
+function suspendComponent(node, promise, target, contexts, session) {
+  const boundary = getContext(contexts, ReactSuspense);
+  if (boundary && session.options.suspenseFallback) {
+    boundary.suspended = true;
+    return null;
+  }
+  if (boundary) {
+    boundary.waiting++;
+  }
+  const rerendered = limitRenderingTime(promise, target, session).then(() => {
+    if (boundary) {
+      boundary.waiting--;
+    }
+    if (target.timedOut) {
+      if (boundary) {
+        boundary.suspended = true;
+      }
+      return null;
+    }
+    const harvested = harvestNode(node, contexts, session);
+    notifyProgress(session);
+    return harvested;
+  });
+  return (isStreaming(contexts, session)) ? streamContents(rerendered, null, session) : rerendered;
+}
+
 /**
  * Render a component
  *
- * @param  {Function} type
- * @param  {Object} props
+ * @param  {Object} target
  * @param  {Array<Object>} contexts
+ * @param  {Object} session
  *
  * @return {ReactElement|Promise<ReactElement>}
  */
-function renderComponent(type, props, contexts) {
-  if (type.prototype && type.prototype.render instanceof Function) {
-    // class based component
-    return renderClassComponent(type, props, contexts);
-  } else {
-    // hook-based component
-    return renderHookComponent(type, props, contexts);
-  }
+function renderComponent(target, contexts, session) {
+  const { type, props, ref } = target;
+  return runInSession(session, () => {
+    if (type.prototype && type.prototype.render instanceof Function) {
+      // class based component
+      target.component = createClassComponent(type, props, contexts);
+      return recordProgress(target, () => {
+        return renderClassComponent(target);
+      }, adapter);
+    } else {
+      // hook-based component
+      return recordProgress(target, () => {
+        return renderHookComponent(target, contexts);
+      }, adapter);
+    }
+  });
 }
 
 /**
- * Create an instance of a class component and call its render method
+ * Create an instance of a class component, taking it up to the point
+ * just before rendering
  *
  * @param  {Function} componentClass
  * @param  {Object} props
  * @param  {Object} contexts
  *
- * @return {ReactElement|Promise<ReactElement>}
+ * @return {Component}
  */
-function renderClassComponent(cls, props, contexts) {
+function createClassComponent(cls, props, contexts) {
   const component = new cls(props);
   component.props = props;
   component.context = getContext(contexts, cls.contextType);
@@ -206,9 +612,25 @@ function renderClassComponent(cls, props, contexts) {
     component.updater = ReactUpdater;
     component.UNSAFE_componentWillMount();
   }
+  return component;
+}
+
+/**
+ * Call the render method of a class component
+ *
+ * @param  {Object} target
+ *
+ * @return {ReactElement|Promise<ReactElement>}
+ */
+function renderClassComponent(target) {
+  const { component } = target;
   let rendered;
   if (isAsyncComponent(component)) {
-    rendered = component.renderAsyncEx();
+    // use the seed planted for the component if there's one
+    const seed = findSeed(target, adapter);
+    rendered = (seed) ? seed.result : withoutRelaksSeeds(() => {
+      return component.renderAsyncEx();
+    }, adapter);
   } else {
     rendered = component.render();
   }
@@ -218,13 +640,13 @@ function renderClassComponent(cls, props, contexts) {
 /**
  * Render a functional component
  *
- * @param  {Function} func
- * @param  {Object} props
+ * @param  {Object} target
  * @param  {Array<Object>} contexts
  *
  * @return {ReactElement|Promise<ReactElement>}
  */
-function renderHookComponent(func, props, contexts) {
+function renderHookComponent(target, contexts) {
+  const { type: func, props, ref } = target;
   let rendered;
   const ReactCurrentDispatcher = getDispatcherRef();
   if (ReactCurrentDispatcher) {
@@ -268,21 +690,42 @@ function renderHookComponent(func, props, contexts) {
         },
       };
       if (func.renderAsyncEx) {
-        rendered = func.renderAsyncEx(props);
+        const seed = findSeed(target, adapter);
+        rendered = (seed) ? seed.result : withoutRelaksSeeds(() => {
+          return func.renderAsyncEx(props);
+        }, adapter);
       } else {
-        const context = getContext(contexts, func.contextType);
-        rendered = func(props, context);
+        rendered = callFunctionComponent(func, props, contexts, ref);
       }
     } finally {
       ReactCurrentDispatcher.current = prevDispatcher;
     }
   } else {
-    const context = getContext(contexts, func.contextType);
-    rendered = func(props, context);
+    rendered = callFunctionComponent(func, props, contexts, ref);
   }
   return rendered;
 }
 
+/**
+ * Call a functional component, giving it either the context or the
+ * forwarded ref as the second argument
+ *
+ * @param  {Function} func
+ * @param  {Object} props
+ * @param  {Array<Object>} contexts
+ * @param  {Object|Function|null|undefined} ref
+ *
+ * @return {ReactElement|Promise<ReactElement>}
+ */
+function callFunctionComponent(func, props, contexts, ref) {
+  if (ref !== undefined) {
+    return func(props, ref);
+  } else {
+    const context = getContext(contexts, func.contextType);
+    return func(props, context);
+  }
+}
+
 let dispatcherRef;
 
 /**
@@ -331,18 +774,156 @@ function replaceChildren(node, newChildren) {
  */
 function getNodeType(node) {
   let { type } = node;
+  // look through memo and forwardRef wrappers
+  let innerType;
+  while ((innerType = unwrapType(type))) {
+    type = innerType;
+  }
   if (type instanceof Object) {
-    if (type.$$typeof === ReactMemo) {
-      type = type.type;
-    } else if (type.$$typeof === ReactProvider) {
+    if (type.$$typeof === ReactProvider) {
       type = ReactProvider;
     } else if (type.$$typeof === ReactContext) {
       type = ReactContext;
+    } else if (type.$$typeof === ReactLazy) {
+      type = ReactLazy;
     }
   }
   return type;
 }
 
+/**
+ * Return the type of a node along with the ones it wraps, starting with the
+ * outermost
+ *
+ * @param  {ReactElement} node
+ *
+ * @return {Array<Object|Function>}
+ */
+function getNodeTypeLayers(node) {
+  const layers = [];
+  for (let type = node.type; type; type = unwrapType(type)) {
+    layers.push(type);
+  }
+  return layers;
+}
+
+/**
+ * Return the type wrapped by memo() or forwardRef(), or the type loaded by
+ * lazy()
+ *
+ * @param  {Object|Function|String} type
+ *
+ * @return {Object|Function|undefined}
+ */
+function unwrapType(type) {
+  if (type instanceof Object) {
+    if (type.$$typeof === ReactMemo) {
+      return type.type;
+    } else if (type.$$typeof === ReactForwardRef) {
+      return type.render;
+    } else if (type.$$typeof === ReactLazy) {
+      return getLoadedType(type);
+    }
+  }
+}
+
+/**
+ * Return the lazy type of a node whose component hasn't been loaded
+ *
+ * @param  {ReactElement} node
+ *
+ * @return {Object}
+ */
+function getNodeLazyType(node) {
+  let type = node.type;
+  while (type.$$typeof !== ReactLazy) {
+    type = unwrapType(type);
+  }
+  return type;
+}
+
+/**
+ * Return the component loaded by lazy()
+ *
+ * @param  {Object} lazyType
+ *
+ * @return {Function|Object|undefined}
+ */
+function getLoadedType(lazyType) {
+  const payload = lazyType._payload;
+  if (payload) {
+    // React 17+
+    if (payload._status === LazyResolved) {
+      return payload._result.default;
+    }
+  } else {
+    if (lazyType._status === LazyResolved) {
+      return lazyType._result;
+    }
+  }
+}
+
+/**
+ * Call the loader of a lazy type, saving the result in the object the same
+ * way React would
+ *
+ * @param  {Object} lazyType
+ *
+ * @return {Promise}
+ */
+function loadLazyType(lazyType) {
+  let thenable;
+  const payload = lazyType._payload;
+  if (payload) {
+    // React 17+
+    try {
+      lazyType._init(payload);
+    } catch (err) {
+      if (!isPromise(err)) {
+        return Promise.reject(err);
+      }
+      thenable = err;
+    }
+  } else {
+    if (lazyType._status === LazyUninitialized) {
+      lazyType._status = LazyPending;
+      lazyType._result = lazyType._ctor();
+      lazyType._result.then((moduleObject) => {
+        if (lazyType._status === LazyPending) {
+          lazyType._status = LazyResolved;
+          lazyType._result = moduleObject.default;
+        }
+      }, (err) => {
+        if (lazyType._status === LazyPending) {
+          lazyType._status = LazyRejected;
+          lazyType._result = err;
+        }
+      });
+    }
+    if (lazyType._status === LazyPending) {
+      thenable = lazyType._result;
+    } else if (lazyType._status === LazyRejected) {
+      return Promise.reject(lazyType._result);
+    }
+  }
+  return Promise.resolve(thenable).then(() => {});
+}
+
+/**
+ * Return the ref to pass to a component created by forwardRef()
+ *
+ * @param  {ReactElement} node
+ *
+ * @return {Object|Function|null|undefined}
+ */
+function getForwardedRef(node) {
+  for (let type = node.type; type; type = unwrapType(type)) {
+    if (type.$$typeof === ReactForwardRef) {
+      return node.ref || null;
+    }
+  }
+}
+
 /**
  * Return a node's context type
  *
@@ -381,18 +962,19 @@ function getContext(contexts, contextType) {
  * Return the props of a node
  *
  * @param  {ReactElement} node
- * @param  {Function} type
  *
  * @return {Object}
  */
-function getNodeProps(node, type) {
+function getNodeProps(node) {
 	const props = { ...node.props };
   Object.defineProperty(props, 'children', { value: node.props.children });
 
-  // apply default props
-  for (let name in type.defaultProps) {
-    if (props[name] === undefined) {
-      props[name] = type.defaultProps[name];
+  // apply default props, starting with those of the outermost wrapper
+  for (let type = node.type; type; type = unwrapType(type)) {
+    for (let name in type.defaultProps) {
+      if (props[name] === undefined) {
+        props[name] = type.defaultProps[name];
+      }
     }
   }
 	return props;
@@ -412,25 +994,148 @@ function getNodeChildren(node) {
 }
 
 /**
- * Return true if the given component is an AsyncComponent
+ * Return the path of a component, made up of its name and those of its
+ * ancestors
+ *
+ * @param  {String} name
+ * @param  {Array} contexts
+ *
+ * @return {String}
+ */
+function getComponentPath(name, contexts) {
+  const parentPath = getContext(contexts, HarvestPath);
+  return (parentPath) ? `${parentPath}/${name}` : name;
+}
+
+/**
+ * Return the name of a context provider or consumer
+ *
+ * @param  {Object} contextType
+ * @param  {String} role
+ *
+ * @return {String}
+ */
+function getContextName(contextType, role) {
+  const name = (contextType && contextType.displayName) || 'Context';
+  return `${name}.${role}`;
+}
+
+/**
+ * Return the name of a component
  *
- * @param  {Object}  component
+ * @param  {Function|Object} type
  *
- * @return {Boolean}
+ * @return {String}
  */
-function isAsyncComponent(component) {
-  return (component.relaks && component.renderAsync instanceof Function);
+function getComponentName(type) {
+  if (type.displayName) {
+    return type.displayName;
+  } else if (type.name) {
+    return type.name;
+  } else if (type.type) {
+    // memo
+    return getComponentName(type.type);
+  } else if (type.render) {
+    // forwardRef
+    return getComponentName(type.render);
+  } else {
+    return 'Anonymous';
+  }
 }
 
 /**
- * Return true if given value hold a promise
+ * Return the name of the component a node renders, preferring a name given
+ * to a memo() or forwardRef() wrapper over that of the component inside
  *
- * @param  {*}  value
+ * @param  {ReactElement} node
+ * @param  {Function} type
  *
- * @return {Boolean}
+ * @return {String}
  */
-function isPromise(value) {
-  return (value instanceof Object && value.then instanceof Function);
+function getNodeComponentName(node, type) {
+  for (let layer = node.type; layer && layer !== type; layer = unwrapType(layer)) {
+    if (layer.displayName) {
+      return layer.displayName;
+    }
+  }
+  return getComponentName(type);
+}
+
+/**
+ * Return a string identifying an element type
+ *
+ * @param  {String|Function|Object} type
+ *
+ * @return {String}
+ */
+function getTypeName(type) {
+  if (typeof(type) === 'string') {
+    return type;
+  } else if (typeof(type) === 'symbol') {
+    return '#' + Symbol.keyFor(type);
+  } else {
+    return '@' + getComponentName(type);
+  }
+}
+
+/**
+ * Return the element type identified by a string from getTypeName()
+ *
+ * @param  {String} name
+ * @param  {Object} components
+ *
+ * @return {String|Function|Object}
+ */
+function getTypeByName(name, components) {
+  if (name.charAt(0) === '@') {
+    const type = components[name.substr(1)];
+    if (!type) {
+      throw new Error(`Unknown component: ${name.substr(1)}`);
+    }
+    return type;
+  } else if (name.charAt(0) === '#') {
+    return Symbol.for(name.substr(1));
+  } else {
+    return name;
+  }
+}
+
+/**
+ * Return the component of a keyed seed, looking through memo() and
+ * forwardRef() the same way harvest() does, or its name if the component
+ * isn't among the ones given
+ *
+ * @param  {String} name
+ * @param  {Object} components
+ *
+ * @return {Function|String}
+ */
+function getSeedType(name, components) {
+  let type = components[name];
+  if (!type) {
+    return name;
+  }
+  let innerType;
+  while ((innerType = unwrapType(type))) {
+    type = innerType;
+  }
+  return type;
+}
+
+/**
+ * Load ReactDOMServer, which is only needed by the functions that
+ * produce HTML
+ *
+ * The file is named in full, since react-dom does not have an exports map
+ * that would let Node resolve the subpath in an ES module
+ *
+ * @return {Promise<Object>}
+ */
+function loadServerRenderer() {
+  return import('react-dom/server.js').then((module) => {
+    // CommonJS module might show up as the default export
+    return (module.renderToString instanceof Function) ? module : module.default;
+  });
 }
 
 const ReactUpdater = {
@@ -452,5 +1157,15 @@ const ReactUpdater = {
 
 export {
 	harvest,
+  harvestProgressively,
+  harvestToString,
+  harvestToNodeStream,
+  harvestToReadableStream,
+  serializeSeeds,
+  deserializeSeeds,
+  formatTrace,
+  formatOutline,
+  plant,
   harvesting,
+  harvestSignal,
 };
@@ -0,0 +1,1803 @@
+// Code shared by the React and Preact builds; what differs between the two
+// libraries is handled by the adapter each build passes in (see adapter in
+// react.mjs and preact.mjs)
+
+// keys under which the path of the parent component and other information
+// meant for the children are placed among the contexts
+const HarvestPath = Symbol('path');
+const HarvestErrorBoundary = Symbol('error-boundary');
+const HarvestProfile = Symbol('profile');
+const HarvestOutline = Symbol('outline');
+
+let currentSession = null;
+// number of harvests going on, for harvesting() to fall back on when there's
+// no AsyncLocalStorage
+let activeSessionCount = 0;
+let plantedSeeds = [];
+let relaksSeeds = [];
+const errorPaths = new WeakMap;
+// built-in modules of Node.js, imported ahead of time where
+// process.getBuiltinModule() is missing
+const nodeModules = {};
+// promise of the import of those modules, null once they're there
+let nodeModulesLoading = loadNodeModules();
+
+/**
+ * Create the functions of the public API that need to know which library
+ * is being used
+ *
+ * @param  {Object} adapter
+ *
+ * @return {Object}
+ */
+function createPublicFunctions(adapter) {
+  return {
+    harvest: (node, options) => {
+      return harvest(node, options, adapter);
+    },
+    harvestProgressively: (node, options) => {
+      return harvestProgressively(node, options, adapter);
+    },
+    harvestToString: (node, options) => {
+      return harvestToString(node, options, adapter);
+    },
+    harvestToNodeStream: (node, options) => {
+      return harvestToNodeStream(node, options, adapter);
+    },
+    harvestToReadableStream: (node, options) => {
+      return harvestToReadableStream(node, options, adapter);
+    },
+    deserializeSeeds: (json, components) => {
+      return deserializeSeeds(json, components, adapter);
+    },
+    plant: (seeds) => {
+      return plant(seeds, adapter);
+    },
+  };
+}
+
+/**
+ * Harvest HTML and text nodes
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {Promise<ReactElement|VNode>}
+ */
+function harvest(node, options, adapter) {
+  const session = createSession(options, adapter);
+  return harvestRoot(node, session).then((harvested) => {
+    return createResult(session, harvested);
+  });
+}
+
+/**
+ * Harvest HTML and text nodes then render them as HTML, returning the seeds
+ * along with it
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {Promise<Object>}
+ */
+function harvestToString(node, options, adapter) {
+  options = options || {};
+  // collect seeds along with the tree, unless told not to
+  const session = createSession({ ...options, seeds: (options.seeds !== undefined) ? options.seeds : true }, adapter);
+  session.keepTree = true;
+  return harvestRoot(node, session).then((harvested) => {
+    return adapter.loadServerRenderer().then((renderer) => {
+      const render = (element) => {
+        return adapter.renderToString(renderer, element, options.staticMarkup);
+      };
+      const html = render(harvested);
+      const portals = new Map;
+      for (let [ container, contents ] of session.portals) {
+        portals.set(container, render(adapter.createFragment(contents)));
+      }
+      const errors = session.errors.map(getError);
+      return { html, seeds: session.bucket, skippedSeeds: session.skippedSeeds, errors, portals };
+    });
+  }, (err) => {
+    if (options.signal && options.signal.aborted) {
+      // the caller has given up on the page
+      throw err;
+    }
+    // let the client render the page instead
+    const errors = [ ...session.errors.map(getError), err ];
+    return { html: null, seeds: session.bucket, skippedSeeds: session.skippedSeeds, errors, portals: null };
+  });
+}
+
+/**
+ * Harvest HTML and text nodes, sending the resulting HTML through a Node.js
+ * stream as soon as possible, with async components that are still pending
+ * represented by placeholders that are replaced once they're done
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {Readable}
+ */
+function harvestToNodeStream(node, options, adapter) {
+  const Readable = getReadableClass();
+  if (!Readable) {
+    if (isNodeJS()) {
+      // the ES module can only import the stream module asynchronously on
+      // Node.js prior to 20.16
+      throw new Error('harvestToNodeStream() was called before the stream module was loaded');
+    }
+    throw new Error('harvestToNodeStream() requires Node.js');
+  }
+  options = options || {};
+  const session = createSession({ ...options, seeds: false }, adapter);
+  let pending = 0;
+  let finished = false;
+  let scriptSent = false;
+  const readable = new Readable({
+    read() {},
+    destroy(err, cb) {
+      if (!finished) {
+        // stop the harvest when the stream is closed prematurely
+        abortSession(session, err || undefined);
+        endSession(session);
+      }
+      cb(err);
+    },
+  });
+  const write = (chunk) => {
+    if (!readable.destroyed) {
+      readable.push(chunk);
+    }
+  };
+  const finish = () => {
+    if (pending === 0 && !readable.destroyed) {
+      finished = true;
+      endSession(session);
+      readable.push(null);
+    }
+  };
+  const fail = (err) => {
+    readable.destroy(err);
+  };
+  const stream = session.stream = {
+    prefix: (options.idPrefix !== undefined) ? options.idPrefix : 'rh-',
+    count: 0,
+    inOrder: false,
+    renderer: null,
+    receive: (id, rendered) => {
+      pending++;
+      rendered.then((html) => {
+        let chunk = `<template id="${id}-t">${html}</template>`;
+        if (!scriptSent) {
+          // define the function that moves the contents into place
+          chunk += `<script>function $RH(i){var p=document.getElementById(i),t=document.getElementById(i+'-t');p.parentNode.replaceChild(t.content,p);t.parentNode.removeChild(t)}</script>`;
+          scriptSent = true;
+        }
+        chunk += `<script>$RH(${JSON.stringify(id)})</script>`;
+        write(chunk);
+        pending--;
+        finish();
+      }).catch(fail);
+    },
+  };
+  Promise.all([ adapter.loadServerRenderer(), nodeModulesLoading ]).then(([ renderer ]) => {
+    stream.renderer = renderer;
+    checkSession(session);
+    const harvested = runInSession(session, () => {
+      return adapter.harvestTree(node, session);
+    });
+    // send the shell, with placeholders for components still pending
+    write(renderStreamContents(harvested, session));
+    finish();
+  }).catch(fail);
+  return readable;
+}
+
+/**
+ * Harvest HTML and text nodes, sending the resulting HTML in order through
+ * a WHATWG stream, as far as the components that have finished rendering
+ * allow
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {ReadableStream<Uint8Array>}
+ */
+function harvestToReadableStream(node, options, adapter) {
+  if (typeof(ReadableStream) !== 'function') {
+    throw new Error('harvestToReadableStream() requires ReadableStream');
+  }
+  options = options || {};
+  const session = createSession({ ...options, seeds: false }, adapter);
+  const encoder = new TextEncoder;
+  const slots = new Map;
+  const stream = session.stream = {
+    prefix: 'rh-',
+    count: 0,
+    inOrder: true,
+    renderer: null,
+    receive: (id, rendered) => {
+      slots.set(id, rendered);
+      rendered.catch((err) => {
+        // stop the others when one of them fails
+        abortSession(session, err);
+      });
+    },
+  };
+  // HTML waiting to be sent, interspersed with ids of pending contents
+  let queue;
+  return new ReadableStream({
+    start() {
+      return Promise.all([ adapter.loadServerRenderer(), nodeModulesLoading ]).then(([ renderer ]) => {
+        stream.renderer = renderer;
+        checkSession(session);
+        const harvested = runInSession(session, () => {
+          return adapter.harvestTree(node, session);
+        });
+        queue = splitStreamContents(renderStreamContents(harvested, session));
+      }).catch((err) => {
+        abortSession(session, err);
+        endSession(session);
+        throw err;
+      });
+    },
+    pull(controller) {
+      const next = () => {
+        if (queue.length === 0) {
+          endSession(session);
+          controller.close();
+          return;
+        }
+        const item = queue.shift();
+        if (typeof(item) === 'string') {
+          // send one chunk at a time, when the reader is ready for it
+          controller.enqueue(encoder.encode(item));
+        } else {
+          // wait for the contents
+          const rendered = slots.get(item.id);
+          slots.delete(item.id);
+          return rejectOnAbort(rendered, session).then((html) => {
+            queue = splitStreamContents(html).concat(queue);
+            return next();
+          });
+        }
+      };
+      return Promise.resolve().then(next).catch((err) => {
+        abortSession(session, err);
+        endSession(session);
+        throw err;
+      });
+    },
+    cancel(reason) {
+      abortSession(session, reason);
+      endSession(session);
+    },
+  });
+}
+
+/**
+ * Harvest HTML and text nodes progressively, yielding a complete tree each
+ * time an async component has finished rendering, with components that are
+ * still pending represented by their progress elements
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {AsyncIterator<ReactElement|VNode>}
+ */
+function harvestProgressively(node, options, adapter) {
+  // seeds are not collected, since we need the trees
+  const session = createSession({ ...options, seeds: false }, adapter);
+  let changed = true;
+  let wake = null;
+  let outcome = null;
+  let done = false;
+  session.listener = () => {
+    changed = true;
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  let harvested;
+  try {
+    harvested = runInSession(session, () => {
+      return adapter.harvestTree(node, session);
+    });
+    if (!isPromise(harvested)) {
+      outcome = { result: harvested };
+    }
+  } catch (err) {
+    outcome = { error: err };
+  }
+  if (!outcome) {
+    rejectOnAbort(harvested, session).then((result) => {
+      outcome = { result };
+    }, (err) => {
+      abortSession(session, err);
+      outcome = { error: err };
+    }).then(() => {
+      endSession(session);
+      session.listener();
+    });
+  } else {
+    endSession(session);
+  }
+  return {
+    async next() {
+      if (!done && !outcome && !changed) {
+        // wait for a component to finish rendering
+        await new Promise((resolve) => { wake = resolve });
+        // let other components that have finished at the same time catch up
+        await new Promise((resolve) => { setTimeout(resolve, 0) });
+      }
+      changed = false;
+      if (done) {
+        return { value: undefined, done: true };
+      }
+      if (outcome) {
+        done = true;
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        return { value: outcome.result, done: false };
+      }
+      return { value: getSnapshot(harvested), done: false };
+    },
+
+    async return() {
+      if (!done) {
+        done = true;
+        if (!outcome) {
+          // stop the harvest when the caller has lost interest
+          abortSession(session);
+        }
+      }
+      return { value: undefined, done: true };
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
+
+/**
+ * Convert keyed seeds into JSON that can be placed in a <script> tag
+ *
+ * @param  {Array<Object>} seeds
+ *
+ * @return {String}
+ */
+function serializeSeeds(seeds) {
+  const json = JSON.stringify(seeds);
+  // escape characters that could end the script tag or the string
+  return json.replace(/[<>&\u2028\u2029]/g, (c) => {
+    return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+  });
+}
+
+/**
+ * Convert JSON produced by serializeSeeds() back into keyed seeds, using
+ * the given components to recreate the elements in them
+ *
+ * @param  {String} json
+ * @param  {Object|undefined} components
+ * @param  {Object} adapter
+ *
+ * @return {Array<Object>}
+ */
+function deserializeSeeds(json, components, adapter) {
+  const seeds = JSON.parse(json);
+  components = components || {};
+  return seeds.map((seed) => {
+    return {
+      ...seed,
+      type: adapter.getSeedType(seed.type, components),
+      props: decodeValue(seed.props, components, adapter),
+      result: decodeValue(seed.result, components, adapter),
+      progress: decodeValue(seed.progress, components, adapter),
+    };
+  });
+}
+
+/**
+ * Convert the profile of a harvest into JSON in the Trace Event Format,
+ * which can be opened by the trace viewer in Chrome
+ *
+ * @param  {Object} profile
+ *
+ * @return {String}
+ */
+function formatTrace(profile) {
+  const events = [];
+  const microseconds = (ms) => {
+    return Math.round(ms * 1000);
+  };
+  for (let entry of profile.components) {
+    const { id, name, path, start, end, syncTime } = entry;
+    const args = { path, critical: profile.criticalPath.indexOf(id) !== -1 };
+    // synchronous part
+    events.push({ name, cat: 'render', ph: 'X', ts: microseconds(start), dur: microseconds(syncTime), pid: 1, tid: 1, args });
+    if (entry.async) {
+      // time spent waiting for the async component
+      events.push({ name, cat: 'async', ph: 'b', id, ts: microseconds(start), pid: 1, tid: 1, args });
+      events.push({ name, cat: 'async', ph: 'e', id, ts: microseconds(end), pid: 1, tid: 1 });
+    }
+  }
+  return JSON.stringify({ traceEvents: events, displayTimeUnit: 'ms' });
+}
+
+/**
+ * Print the outline of a harvest as an indented text tree
+ *
+ * @param  {Array<Object>} outline
+ *
+ * @return {String}
+ */
+function formatOutline(outline) {
+  const lines = [];
+  const print = (entries, depth) => {
+    for (let entry of entries) {
+      const { name, key, kind, props, childCount, children } = entry;
+      const parts = [ name ];
+      if (key !== null) {
+        parts.push(`key=${JSON.stringify(String(key))}`);
+      }
+      for (let propName in props) {
+        const value = props[propName];
+        if (propName === 'children') {
+          continue;
+        }
+        if (typeof(value) === 'string') {
+          parts.push(`${propName}=${JSON.stringify(value)}`);
+        } else if (typeof(value) === 'number' || typeof(value) === 'boolean') {
+          parts.push(`${propName}={${value}}`);
+        }
+      }
+      parts.push(`(${kind}, ${childCount} ${(childCount === 1) ? 'child' : 'children'})`);
+      lines.push('  '.repeat(depth) + parts.join(' '));
+      print(children, depth + 1);
+    }
+  };
+  print(outline, 0);
+  return lines.join('\n');
+}
+
+/**
+ * Provide seeds from the server, so that async components matching them
+ * would not need to render again, either when harvest() is called or when
+ * they're rendered during hydration
+ *
+ * @param  {Array<Object>} seeds
+ * @param  {Object} adapter
+ */
+function plant(seeds, adapter) {
+  if (!(seeds instanceof Array)) {
+    throw new Error('Seeds must be an array of objects');
+  }
+  plantedSeeds = seeds.map((seed) => {
+    if (seed.key) {
+      // the number added to tell apart components with the same props at the
+      // same place isn't needed, as seeds are used in order
+      const key = seed.key.replace(/#\d+$/, '');
+      return { key, result: seed.result };
+    } else {
+      const hash = hashValue(encodeValue(seed.props, adapter));
+      return { type: seed.type, hash, result: seed.result };
+    }
+  });
+  // let Relaks use the seeds too, when the components are rendered for real
+  // (during hydration, for instance); keyed seeds whose components weren't
+  // given to deserializeSeeds() only have names, which Relaks can't match
+  relaksSeeds = seeds.filter((seed) => {
+    return (seed.type instanceof Function);
+  }).map((seed) => {
+    return { type: seed.type, props: seed.props, result: seed.result };
+  });
+  adapter.relaks.plant(relaksSeeds);
+}
+
+/**
+ * Harvest the root node, ending the session when it's done
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {Object} session
+ *
+ * @return {Promise<ReactElement|VNode|null>}
+ */
+function harvestRoot(node, session) {
+  const start = () => {
+    return runInSession(session, () => {
+      return session.adapter.harvestTree(node, session);
+    });
+  };
+  let harvested;
+  if (nodeModulesLoading) {
+    // AsyncLocalStorage isn't available until async_hooks has been imported
+    harvested = nodeModulesLoading.then(start);
+  } else {
+    try {
+      harvested = start();
+      if (!isPromise(harvested)) {
+        // always return a promise
+        harvested = Promise.resolve(harvested);
+      }
+    } catch (err) {
+      harvested = Promise.reject(err);
+    }
+  }
+  return rejectOnAbort(harvested, session).then((result) => {
+    endSession(session);
+    return result;
+  }, (err) => {
+    abortSession(session, err);
+    endSession(session);
+    throw err;
+  });
+}
+
+/**
+ * Return true when we're in the middle harvesting node
+ *
+ * @return {Boolean}
+ */
+function harvesting() {
+  if (getCurrentSession()) {
+    return true;
+  }
+  // the session can't be followed past an await without AsyncLocalStorage
+  return (!getAsyncStorage() && activeSessionCount > 0);
+}
+
+/**
+ * Return the abort signal of the current harvest, which is triggered when
+ * the harvest is canceled or has failed
+ *
+ * @return {AbortSignal|undefined}
+ */
+function harvestSignal() {
+  const session = getCurrentSession();
+  if (session && session.controller) {
+    return session.controller.signal;
+  }
+}
+
+/**
+ * Create an object holding the state of a single call to harvest()
+ *
+ * @param  {Object|undefined} options
+ * @param  {Object} adapter
+ *
+ * @return {Object}
+ */
+function createSession(options, adapter) {
+  options = options || {};
+  const session = {
+    options,
+    adapter,
+    // see if we're collecting seeds
+    bucket: (options.seeds) ? [] : null,
+    seedConfig: getSeedConfig(options.seeds),
+    seedKeys: new Map,
+    seedNames: new Map,
+    seedSize: 0,
+    skippedSeeds: [],
+    // the tree isn't needed when we're only interested in seeds
+    keepTree: !options.seeds,
+    deadline: (options.timeout >= 0) ? Date.now() + options.timeout : Infinity,
+    timeouts: [],
+    errors: [],
+    attempts: [],
+    renderCounts: { pending: 0, completed: 0, failed: 0 },
+    profile: (options.profile) ? { startTime: getTime(), components: [] } : null,
+    outline: (options.outline) ? { count: 0, roots: [] } : null,
+    portals: new Map,
+    listener: null,
+    stream: null,
+    controller: null,
+    detach: null,
+    active: true,
+  };
+  activeSessionCount++;
+  if (typeof(AbortController) === 'function') {
+    const controller = session.controller = new AbortController;
+    const { signal } = options;
+    if (signal) {
+      // relay abort signal from caller
+      const onAbort = () => {
+        controller.abort(signal.reason);
+      };
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+        session.detach = () => {
+          signal.removeEventListener('abort', onAbort);
+        };
+      }
+    }
+  }
+  return session;
+}
+
+/**
+ * Release resources held by a harvest session
+ *
+ * @param  {Object} session
+ */
+function endSession(session) {
+  if (session.active) {
+    session.active = false;
+    activeSessionCount--;
+  }
+  if (session.detach) {
+    session.detach();
+    session.detach = null;
+  }
+}
+
+/**
+ * Abort a harvest session, so that no new rendering would be started
+ *
+ * @param  {Object} session
+ * @param  {Error|undefined} reason
+ */
+function abortSession(session, reason) {
+  const { controller } = session;
+  if (controller && !controller.signal.aborted) {
+    controller.abort(reason);
+  }
+}
+
+/**
+ * Throw if the harvest session has been aborted
+ *
+ * @param  {Object} session
+ */
+function checkSession(session) {
+  const { controller } = session;
+  if (controller && controller.signal.aborted) {
+    throw getAbortReason(controller.signal);
+  }
+}
+
+/**
+ * Return true if the harvest session has been aborted
+ *
+ * @param  {Object} session
+ *
+ * @return {Boolean}
+ */
+function isSessionAborted(session) {
+  const { controller } = session;
+  return !!(controller && controller.signal.aborted);
+}
+
+/**
+ * Return a promise that is rejected as soon as the session is aborted
+ *
+ * @param  {Promise} promise
+ * @param  {Object} session
+ *
+ * @return {Promise}
+ */
+function rejectOnAbort(promise, session) {
+  const { controller } = session;
+  if (!controller) {
+    return promise;
+  }
+  const { signal } = controller;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(getAbortReason(signal));
+    };
+    // handle the outcome even when the signal has already been triggered,
+    // so that a rejection would not go unhandled
+    promise.then((result) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, (err) => {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Return the reason an abort signal was triggered
+ *
+ * @param  {AbortSignal} signal
+ *
+ * @return {Error}
+ */
+function getAbortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  const err = new Error('Harvest aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Return what harvest() should yield, given the harvested node
+ *
+ * @param  {Object} session
+ * @param  {ReactElement|VNode|null} harvested
+ *
+ * @return {ReactElement|VNode|Array<Object>|Object}
+ */
+function createResult(session, harvested) {
+  const { options, bucket, skippedSeeds, timeouts, errors, attempts, portals } = session;
+  if (options.details) {
+    return {
+      element: harvested,
+      seeds: bucket,
+      skippedSeeds,
+      timeouts,
+      errors,
+      attempts,
+      portals,
+      profile: getProfile(session),
+      outline: (session.outline) ? session.outline.roots : undefined,
+    };
+  }
+  return (bucket) ? bucket : harvested;
+}
+
+/**
+ * Attach a function to a promise that returns what has been harvested so
+ * far, when the harvest is progressive
+ *
+ * @param  {Promise} promise
+ * @param  {Object} session
+ * @param  {Function} f
+ *
+ * @return {Promise}
+ */
+function trackProgress(promise, session, f) {
+  if (!session.listener) {
+    return promise;
+  }
+  let settled = false;
+  let result;
+  const tracked = promise.then((value) => {
+    settled = true;
+    result = value;
+    return value;
+  });
+  tracked.snapshot = () => {
+    return (settled) ? result : f();
+  };
+  return tracked;
+}
+
+/**
+ * Return what has been harvested so far, given the result of harvestNode()
+ *
+ * @param  {*} harvested
+ *
+ * @return {*}
+ */
+function getSnapshot(harvested) {
+  if (isPromise(harvested)) {
+    return (harvested.snapshot instanceof Function) ? harvested.snapshot() : null;
+  }
+  return harvested;
+}
+
+/**
+ * Return a placeholder for contents that will be sent through the stream
+ * later, once the given promise is fulfilled
+ *
+ * @param  {Promise} promise
+ * @param  {ReactElement|VNode|null} progressElement
+ * @param  {Object} session
+ *
+ * @return {ReactElement|VNode}
+ */
+function streamContents(promise, progressElement, session) {
+  const { stream } = session;
+  const id = stream.prefix + (stream.count++);
+  stream.receive(id, promise.then((harvested) => {
+    return renderStreamContents(harvested, session);
+  }));
+  // the progress element is useless when contents are sent in order
+  return session.adapter.createElement('harvest-slot', { id }, (stream.inOrder) ? null : progressElement);
+}
+
+/**
+ * Render harvested contents as HTML
+ *
+ * @param  {ReactElement|VNode|Array|null} harvested
+ * @param  {Object} session
+ *
+ * @return {String}
+ */
+function renderStreamContents(harvested, session) {
+  const { adapter, stream } = session;
+  return adapter.renderToString(stream.renderer, adapter.createFragment(harvested), true);
+}
+
+/**
+ * Split HTML at the placeholders of contents that are still pending
+ *
+ * @param  {String} html
+ *
+ * @return {Array<String|Object>}
+ */
+function splitStreamContents(html) {
+  const list = [];
+  const re = /<harvest-slot id="([^"]*)"><\/harvest-slot>/g;
+  let index = 0;
+  let m;
+  while (m = re.exec(html)) {
+    if (m.index > index) {
+      list.push(html.substring(index, m.index));
+    }
+    list.push({ id: m[1] });
+    index = re.lastIndex;
+  }
+  if (index < html.length) {
+    list.push(html.substring(index));
+  }
+  return list;
+}
+
+/**
+ * Let the listener know that a component has finished rendering
+ *
+ * @param  {Object} session
+ */
+function notifyProgress(session) {
+  if (session.listener) {
+    session.listener();
+  }
+}
+
+/**
+ * Call a function that renders a component, recording when it starts and how
+ * long the synchronous part takes, when the harvest is being profiled
+ *
+ * @param  {Object} target
+ * @param  {Array|Object} contexts
+ * @param  {Object} session
+ * @param  {Function} f
+ *
+ * @return {ReactElement|VNode|Promise<ReactElement|VNode>}
+ */
+function profileRendering(target, contexts, session, f) {
+  const { profile } = session;
+  if (!profile) {
+    return f();
+  }
+  const { type, name, path } = target;
+  const { adapter } = session;
+  const parent = adapter.findContext(contexts, HarvestProfile);
+  const entry = target.profile = {
+    id: profile.components.length,
+    name,
+    type,
+    path,
+    parent: (parent) ? parent.id : null,
+    async: false,
+    start: getTime() - profile.startTime,
+    end: undefined,
+    syncTime: 0,
+    asyncTime: 0,
+  };
+  profile.components.push(entry);
+  try {
+    const rendered = f();
+    entry.async = isPromise(rendered);
+    return rendered;
+  } finally {
+    entry.end = getTime() - profile.startTime;
+    entry.syncTime = entry.end - entry.start;
+  }
+}
+
+/**
+ * Record the time when an async component has finished rendering
+ *
+ * @param  {Object} target
+ * @param  {Object} session
+ */
+function endProfiling(target, session) {
+  const entry = target.profile;
+  if (entry) {
+    entry.end = getTime() - session.profile.startTime;
+    entry.asyncTime = entry.end - entry.start - entry.syncTime;
+  }
+}
+
+/**
+ * Return the profile of a harvest session, with the critical path (the chain
+ * of components leading to the one that finished last)
+ *
+ * @param  {Object} session
+ *
+ * @return {Object|undefined}
+ */
+function getProfile(session) {
+  const { profile } = session;
+  if (!profile) {
+    return;
+  }
+  const { startTime, components } = profile;
+  let last = null;
+  for (let entry of components) {
+    if (!last || entry.end > last.end) {
+      last = entry;
+    }
+  }
+  const criticalPath = [];
+  for (let entry = last; entry; entry = (entry.parent !== null) ? components[entry.parent] : null) {
+    criticalPath.unshift(entry.id);
+  }
+  return { duration: getTime() - startTime, components, criticalPath };
+}
+
+/**
+ * Add a node to the outline of the component hierarchy, when one is being
+ * made
+ *
+ * @param  {ReactElement|VNode} node
+ * @param  {String} name
+ * @param  {Object} props
+ * @param  {Array|Object} contexts
+ * @param  {Object} session
+ *
+ * @return {Object|null}
+ */
+function addOutlineNode(node, name, props, contexts, session) {
+  const { outline } = session;
+  if (!outline) {
+    return null;
+  }
+  const parent = session.adapter.findContext(contexts, HarvestOutline);
+  const key = (node.key !== undefined && node.key !== null) ? node.key : null;
+  const entry = {
+    name,
+    key,
+    kind: 'sync',
+    props,
+    order: outline.count++,
+    childCount: 0,
+    children: [],
+  };
+  if (parent) {
+    parent.children.push(entry);
+  } else {
+    outline.roots.push(entry);
+  }
+  return entry;
+}
+
+/**
+ * Record the number of children a node in the outline has rendered
+ *
+ * @param  {Object|null} outline
+ * @param  {*} rendered
+ */
+function setOutlineChildCount(outline, rendered) {
+  if (outline) {
+    outline.childCount = countChildren(rendered);
+  }
+}
+
+/**
+ * Return the number of nodes in what a component has rendered
+ *
+ * @param  {*} rendered
+ *
+ * @return {Number}
+ */
+function countChildren(rendered) {
+  if (rendered instanceof Array) {
+    let count = 0;
+    for (let child of rendered) {
+      count += countChildren(child);
+    }
+    return count;
+  }
+  return (rendered === null || rendered === undefined || typeof(rendered) === 'boolean') ? 0 : 1;
+}
+
+/**
+ * Let the onProgress callback know that an async component has started or
+ * finished rendering
+ *
+ * @param  {Object} target
+ * @param  {String} status
+ * @param  {Object} session
+ */
+function reportRendering(target, status, session) {
+  const { options, renderCounts } = session;
+  if (!(options.onProgress instanceof Function)) {
+    return;
+  }
+  if (status !== 'pending') {
+    renderCounts.pending--;
+  }
+  renderCounts[status]++;
+  const { type, props, path } = target;
+  options.onProgress({ ...renderCounts, component: { type, props, path, status } });
+}
+
+/**
+ * Run a function with the given harvest session as the current one
+ *
+ * @param  {Object} session
+ * @param  {Function} f
+ *
+ * @return {*}
+ */
+function runInSession(session, f) {
+  const prevSession = currentSession;
+  try {
+    currentSession = session;
+    const storage = getAsyncStorage();
+    if (storage) {
+      // keep the session available to code running after an await
+      return storage.run(session, f);
+    } else {
+      return f();
+    }
+  } finally {
+    currentSession = prevSession;
+  }
+}
+
+/**
+ * Return the harvest session that's currently active
+ *
+ * @return {Object|null}
+ */
+function getCurrentSession() {
+  if (currentSession) {
+    return currentSession;
+  }
+  const storage = getAsyncStorage();
+  if (storage) {
+    return storage.getStore() || null;
+  }
+  return null;
+}
+
+let asyncStorage;
+
+/**
+ * Create an AsyncLocalStorage instance if the runtime provides one
+ *
+ * @return {AsyncLocalStorage|null}
+ */
+function getAsyncStorage() {
+  if (!asyncStorage) {
+    // try again later if async_hooks hasn't been imported yet
+    try {
+      let AsyncLocalStorage;
+      const asyncHooks = getNodeModule('async_hooks');
+      if (asyncHooks) {
+        AsyncLocalStorage = asyncHooks.AsyncLocalStorage;
+      } else if (typeof(globalThis) === 'object') {
+        AsyncLocalStorage = globalThis.AsyncLocalStorage;
+      }
+      if (AsyncLocalStorage instanceof Function) {
+        asyncStorage = new AsyncLocalStorage;
+      }
+    } catch (err) {
+    }
+  }
+  return asyncStorage || null;
+}
+
+/**
+ * Return a built-in module of Node.js, if the runtime has it
+ *
+ * @param  {String} name
+ *
+ * @return {Object|null}
+ */
+function getNodeModule(name) {
+  if (typeof(process) === 'object' && process.getBuiltinModule instanceof Function) {
+    try {
+      return process.getBuiltinModule(name) || null;
+    } catch (err) {
+      return null;
+    }
+  }
+  if (!nodeModules[name] && typeof(module) === 'object' && module && module.require instanceof Function) {
+    // the CommonJS build doesn't have to wait for the module to be imported
+    try {
+      nodeModules[name] = module.require(name);
+    } catch (err) {
+    }
+  }
+  return nodeModules[name] || null;
+}
+
+/**
+ * Import the built-in modules of Node.js that are needed, when the runtime is
+ * too old to have process.getBuiltinModule() (prior to Node.js 20.16)
+ *
+ * @return {Promise|null}
+ */
+function loadNodeModules() {
+  if (!isNodeJS() || process.getBuiltinModule instanceof Function) {
+    return null;
+  }
+  // keep webpack from trying to bundle the modules
+  return Promise.all([
+    import(/* webpackIgnore: true */ 'async_hooks').then((module) => {
+      nodeModules.async_hooks = module;
+    }),
+    import(/* webpackIgnore: true */ 'stream').then((module) => {
+      nodeModules.stream = module;
+    }),
+  ]).catch((err) => {
+  }).then(() => {
+    nodeModulesLoading = null;
+  });
+}
+
+/**
+ * Return true if the code is running in Node.js
+ *
+ * @return {Boolean}
+ */
+function isNodeJS() {
+  return (typeof(process) === 'object' && !!process.versions && !!process.versions.node);
+}
+
+/**
+ * Render a component again when its asynchronous rendering fails, for as
+ * long as the retry policy allows
+ *
+ * @param  {Promise<ReactElement|VNode>} promise
+ * @param  {Object} target
+ * @param  {Array|Object} contexts
+ * @param  {Object} session
+ *
+ * @return {Promise<ReactElement|VNode>}
+ */
+function retryRendering(promise, target, contexts, session) {
+  const policy = getRetryPolicy(target.type, session.options);
+  if (!policy) {
+    return promise;
+  }
+  let attempt = 1;
+  const retry = (err) => {
+    const { type, props, path } = target;
+    let retrying = false;
+    if (attempt < policy.attempts && !target.timedOut && !isSessionAborted(session)) {
+      retrying = !!policy.shouldRetry(err, attempt);
+    }
+    session.attempts.push({ type, props, path, attempt, error: err, retried: retrying });
+    if (!retrying) {
+      throw err;
+    }
+    const delay = policy.backoff(attempt++);
+    return new Promise((resolve) => { setTimeout(resolve, delay) }).then(() => {
+      checkSession(session);
+      return session.adapter.renderComponent(target, contexts, session);
+    }).catch(retry);
+  };
+  return promise.catch(retry);
+}
+
+/**
+ * Return the retry policy for a component, either from the component itself
+ * or from the options
+ *
+ * @param  {Function} type
+ * @param  {Object} options
+ *
+ * @return {Object|null}
+ */
+function getRetryPolicy(type, options) {
+  let retry = (type.harvestRetry !== undefined) ? type.harvestRetry : options.retry;
+  if (typeof(retry) === 'number') {
+    retry = { attempts: retry };
+  }
+  if (!(retry instanceof Object) || !(retry.attempts > 1)) {
+    return null;
+  }
+  const { attempts, backoff, shouldRetry } = retry;
+  return {
+    attempts,
+    backoff: (backoff instanceof Function) ? backoff : (attempt) => {
+      // double the delay after each attempt
+      return (backoff || 0) * Math.pow(2, attempt - 1);
+    },
+    shouldRetry: (shouldRetry instanceof Function) ? shouldRetry : () => {
+      return true;
+    },
+  };
+}
+
+/**
+ * Substitute the progress element of a component when it fails to finish
+ * rendering in the time allotted
+ *
+ * @param  {Promise<ReactElement|VNode>} promise
+ * @param  {Object} target
+ * @param  {Object} session
+ *
+ * @return {Promise<ReactElement|VNode>}
+ */
+function limitRenderingTime(promise, target, session) {
+  const { options, deadline } = session;
+  let timeLimit = deadline - Date.now();
+  if (options.componentTimeout >= 0) {
+    timeLimit = Math.min(timeLimit, options.componentTimeout);
+  }
+  if (timeLimit === Infinity) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      target.timedOut = true;
+      session.timeouts.push({
+        type: target.type,
+        props: target.props,
+      });
+      resolve(getProgressElement(target));
+    }, Math.max(timeLimit, 0));
+    promise.then((rendered) => {
+      clearTimeout(timeout);
+      resolve(rendered);
+    }, (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Call a function that renders a component, keeping track of the elements an
+ * async component passes to meanwhile.show() (or show() from useProgress())
+ *
+ * @param  {Object} target
+ * @param  {Function} f
+ * @param  {Object} adapter
+ *
+ * @return {*}
+ */
+function recordProgress(target, f, adapter) {
+  const { type, component } = target;
+  if (component && isAsyncComponent(component) && component.relaks instanceof Array) {
+    const progress = target.progress = [];
+    const context = component.relaks[0];
+    let cycle = context.cycle;
+    // a new rendering cycle is saved into the component's state, before
+    // renderAsync() receives it
+    Object.defineProperty(context, 'cycle', {
+      configurable: true,
+      enumerable: true,
+      get: () => {
+        return cycle;
+      },
+      set: (newCycle) => {
+        cycle = newCycle;
+        if (newCycle && newCycle.show instanceof Function) {
+          // the method is bound to the cycle
+          const show = newCycle.show;
+          newCycle.show = (element, label) => {
+            const result = show(element, label);
+            progress.push({ element, label });
+            return result;
+          };
+        }
+      },
+    });
+    return f();
+  }
+  const { AsyncRenderingCycle } = adapter;
+  if (type.renderAsyncEx instanceof Function && AsyncRenderingCycle) {
+    // the cycle of a hook-based component is kept in a hook, out of reach
+    const progress = target.progress = [];
+    const { prototype } = AsyncRenderingCycle;
+    const show = prototype.show;
+    // the cycle binds the method in its constructor, so calls made after
+    // this function has returned are recorded too
+    prototype.show = function(element, label) {
+      const result = show.call(this, element, label);
+      progress.push({ element, label });
+      return result;
+    };
+    try {
+      return f();
+    } finally {
+      prototype.show = show;
+    }
+  }
+  return f();
+}
+
+/**
+ * Run a function that calls renderAsyncEx(), keeping the seeds given to
+ * Relaks out of its reach, as they're meant for components rendered during
+ * hydration
+ *
+ * @param  {Function} f
+ * @param  {Object} adapter
+ *
+ * @return {*}
+ */
+function withoutRelaksSeeds(f, adapter) {
+  if (relaksSeeds.length === 0) {
+    return f();
+  }
+  const { relaks } = adapter;
+  relaks.plant([]);
+  try {
+    return f();
+  } finally {
+    relaks.plant(relaksSeeds);
+  }
+}
+
+/**
+ * Return true if the given component type is an error boundary
+ *
+ * @param  {Function}  type
+ *
+ * @return {Boolean}
+ */
+function isErrorBoundary(type) {
+  if (type.getDerivedStateFromError instanceof Function) {
+    return true;
+  }
+  return (type.prototype instanceof Object && type.prototype.componentDidCatch instanceof Function);
+}
+
+/**
+ * Return true if the harvest should continue when components fail
+ *
+ * @param  {Object} options
+ *
+ * @return {Boolean}
+ */
+function isPartial(options) {
+  return (options.onError instanceof Function || options.errorFallback !== undefined);
+}
+
+/**
+ * Return the error object in an entry of the error list
+ *
+ * @param  {Object} entry
+ *
+ * @return {Error}
+ */
+function getError(entry) {
+  return entry.error;
+}
+
+/**
+ * Return true if contents that aren't ready should be sent through the stream
+ * later, which isn't done inside error boundaries, as the contents might
+ * end up being replaced
+ *
+ * @param  {Array|Object} contexts
+ * @param  {Object} session
+ *
+ * @return {Boolean}
+ */
+function isStreaming(contexts, session) {
+  return (!!session.stream && !session.adapter.findContext(contexts, HarvestErrorBoundary));
+}
+
+/**
+ * Return true if the given component is an AsyncComponent
+ *
+ * @param  {Object}  component
+ *
+ * @return {Boolean}
+ */
+function isAsyncComponent(component) {
+  return (component.relaks && component.renderAsync instanceof Function);
+}
+
+/**
+ * Find a planted seed for the given component, removing it from the list so
+ * that it's used only once
+ *
+ * @param  {Object} target
+ * @param  {Object} adapter
+ *
+ * @return {Object|undefined}
+ */
+function findSeed(target, adapter) {
+  if (plantedSeeds.length === 0) {
+    return;
+  }
+  const { type, props, path } = target;
+  const hash = hashValue(encodeValue(props, adapter));
+  const index = plantedSeeds.findIndex((seed) => {
+    if (seed.key) {
+      // keyed seeds are matched by where the component is in the tree,
+      // since they only have its name
+      return seed.key === `${path}:${hash}`;
+    } else {
+      return seed.type === type && seed.hash === hash;
+    }
+  });
+  if (index !== -1) {
+    return plantedSeeds.splice(index, 1)[0];
+  }
+}
+
+/**
+ * Remember which component an error came from, unless it's already known
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ *
+ * @return {Error}
+ */
+function markError(err, target) {
+  if (err instanceof Object && !errorPaths.has(err)) {
+    errorPaths.set(err, target.path);
+  }
+  return err;
+}
+
+/**
+ * Return a component stack leading to where an error came from, in the
+ * format used by React
+ *
+ * @param  {Error} err
+ * @param  {Object} target
+ *
+ * @return {String}
+ */
+function getComponentStack(err, target) {
+  const path = (err instanceof Object && errorPaths.get(err)) || target.path;
+  return path.split('/').reverse().map((name) => `\n    in ${name}`).join('');
+}
+
+/**
+ * Add a seed to the bucket, unless the component has been excluded or the
+ * size limit has been reached, in which case it's added to the list of
+ * skipped seeds instead
+ *
+ * @param  {Object} target
+ * @param  {ReactElement|VNode} rendered
+ * @param  {Object} session
+ */
+function addSeed(target, rendered, session) {
+  const { bucket, seedConfig, skippedSeeds } = session;
+  const { type, props, path } = target;
+  if (!acceptSeed(target, seedConfig)) {
+    skippedSeeds.push({ type, props, path, reason: 'excluded' });
+    return;
+  }
+  const seed = createSeed(target, rendered, session);
+  if (seedConfig.maxSize >= 0) {
+    const size = getSeedSize(seed, session.adapter);
+    if (session.seedSize + size > seedConfig.maxSize) {
+      skippedSeeds.push({ type, props, path, reason: 'size', size });
+      return;
+    }
+    session.seedSize += size;
+  }
+  bucket.push(seed);
+}
+
+/**
+ * Return true if a component's seed should be collected
+ *
+ * @param  {Object} target
+ * @param  {Object} seedConfig
+ *
+ * @return {Boolean}
+ */
+function acceptSeed(target, seedConfig) {
+  const { type, layers, props, path } = target;
+  const { include, exclude, filter } = seedConfig;
+  // a component can be referred to by any of the wrappers around it
+  if (layers.some((layer) => layer.harvestSeed === false)) {
+    return false;
+  }
+  if (include instanceof Array && !layers.some((layer) => include.includes(layer))) {
+    return false;
+  }
+  if (exclude instanceof Array && layers.some((layer) => exclude.includes(layer))) {
+    return false;
+  }
+  if (filter instanceof Function && !filter(type, props, path)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Return the approximate size of a seed once it's turned into JSON
+ *
+ * @param  {Object} seed
+ * @param  {Object} adapter
+ *
+ * @return {Number}
+ */
+function getSeedSize(seed, adapter) {
+  // count only the result when the seed isn't serializable
+  const json = JSON.stringify((seed.key) ? seed : encodeValue(seed.result, adapter));
+  return (json) ? json.length : 0;
+}
+
+/**
+ * Return the seeds option in the form of an object
+ *
+ * @param  {Boolean|String|Function|Object|undefined} seeds
+ *
+ * @return {Object}
+ */
+function getSeedConfig(seeds) {
+  if (seeds === 'keyed') {
+    return { format: 'keyed' };
+  } else if (seeds instanceof Function) {
+    return { filter: seeds };
+  } else if (seeds instanceof Object) {
+    return seeds;
+  } else {
+    return {};
+  }
+}
+
+/**
+ * Create a seed from what an async component has rendered, either in the
+ * format expected by Relaks.plant() or as a keyed seed that can be
+ * serialized
+ *
+ * @param  {Object} target
+ * @param  {ReactElement|VNode} rendered
+ * @param  {Object} session
+ *
+ * @return {Object}
+ */
+function createSeed(target, rendered, session) {
+  const { type, name, props, path } = target;
+  const progress = target.progress || [];
+  if (session.seedConfig.format !== 'keyed') {
+    return { type, props, result: rendered, progress };
+  }
+  const { seedKeys, seedNames, adapter } = session;
+  // keyed seeds only have the names of components, which would be of no use
+  // if two of them had the same one
+  const typeWithName = seedNames.get(name);
+  if (typeWithName && typeWithName !== type) {
+    throw new Error(`Different components have the same name: ${name} (set displayName to tell them apart)`);
+  }
+  seedNames.set(name, type);
+  let key = `${path}:${hashValue(encodeValue(props, adapter))}`;
+  // add a number when the same component is rendered with the same props
+  // at the same place
+  const count = seedKeys.get(key) || 0;
+  seedKeys.set(key, count + 1);
+  if (count > 0) {
+    key += `#${count}`;
+  }
+  // children are left out, as they're in the result of the parent already
+  const { children, ...otherProps } = props;
+  return {
+    key,
+    type: name,
+    props: encodeValue(otherProps, adapter),
+    result: encodeValue(rendered, adapter),
+    progress: encodeValue(progress, adapter),
+  };
+}
+
+/**
+ * Convert a value into one that can be turned into JSON, with elements
+ * becoming plain objects and functions removed
+ *
+ * @param  {*} value
+ * @param  {Object} adapter
+ *
+ * @return {*}
+ */
+function encodeValue(value, adapter) {
+  if (value instanceof Function || value === undefined || typeof(value) === 'symbol') {
+    return undefined;
+  } else if (value instanceof Array) {
+    return value.map((item) => {
+      const encoded = encodeValue(item, adapter);
+      return (encoded !== undefined) ? encoded : null;
+    });
+  } else if (adapter.isValidElement(value)) {
+    const element = { $element: adapter.getTypeName(value.type) };
+    if (value.key !== undefined && value.key !== null) {
+      element.key = value.key;
+    }
+    element.props = encodeValue(value.props, adapter);
+    return element;
+  } else if (value instanceof Object) {
+    if (value.toJSON instanceof Function) {
+      return value.toJSON();
+    }
+    const object = {};
+    for (let [ name, item ] of Object.entries(value)) {
+      const encoded = encodeValue(item, adapter);
+      if (encoded !== undefined) {
+        object[name] = encoded;
+      }
+    }
+    return object;
+  } else {
+    return value;
+  }
+}
+
+/**
+ * Recreate elements in a value produced by encodeValue()
+ *
+ * @param  {*} value
+ * @param  {Object} components
+ * @param  {Object} adapter
+ *
+ * @return {*}
+ */
+function decodeValue(value, components, adapter) {
+  if (value instanceof Array) {
+    return value.map((item) => {
+      return decodeValue(item, components, adapter);
+    });
+  } else if (value instanceof Object) {
+    const object = {};
+    for (let [ name, item ] of Object.entries(value)) {
+      object[name] = decodeValue(item, components, adapter);
+    }
+    if (typeof(value.$element) === 'string') {
+      const type = adapter.getTypeByName(value.$element, components);
+      return adapter.createElement(type, { ...object.props, key: object.key });
+    }
+    return object;
+  } else {
+    return value;
+  }
+}
+
+/**
+ * Return a hash of a JSON-safe value that doesn't depend on the order of
+ * the keys of objects in it
+ *
+ * @param  {*} value
+ *
+ * @return {String}
+ */
+function hashValue(value) {
+  const text = stringifySorted(value);
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Convert a JSON-safe value into JSON, with the keys of objects sorted
+ *
+ * @param  {*} value
+ *
+ * @return {String}
+ */
+function stringifySorted(value) {
+  if (value instanceof Array) {
+    return `[${value.map(stringifySorted).join(',')}]`;
+  } else if (value instanceof Object) {
+    const names = Object.keys(value).sort();
+    const pairs = names.map((name) => {
+      return `${JSON.stringify(name)}:${stringifySorted(value[name])}`;
+    });
+    return `{${pairs.join(',')}}`;
+  } else {
+    return JSON.stringify(value);
+  }
+}
+
+/**
+ * Return the last element an async component passed to meanwhile.show()
+ *
+ * @param  {Object} target
+ *
+ * @return {ReactElement|VNode|null}
+ */
+function getProgressElement(target) {
+  const { progress } = target;
+  if (progress && progress.length > 0) {
+    return progress[progress.length - 1].element;
+  }
+  return null;
+}
+
+/**
+ * Return the current time in milliseconds, with sub-millisecond precision
+ * where available
+ *
+ * @return {Number}
+ */
+function getTime() {
+  if (typeof(performance) === 'object' && performance.now instanceof Function) {
+    return performance.now();
+  } else {
+    return Date.now();
+  }
+}
+
+/**
+ * Return the Readable class from Node's stream module
+ *
+ * @return {Function|null}
+ */
+function getReadableClass() {
+  const stream = getNodeModule('stream');
+  return (stream) ? stream.Readable : null;
+}
+
+/**
+ * Return true if given value hold a promise
+ *
+ * @param  {*}  value
+ *
+ * @return {Boolean}
+ */
+function isPromise(value) {
+  return (value instanceof Object && value.then instanceof Function);
+}
+
+export {
+  HarvestPath,
+  HarvestErrorBoundary,
+  HarvestProfile,
+  HarvestOutline,
+  createPublicFunctions,
+  serializeSeeds,
+  formatTrace,
+  formatOutline,
+  harvesting,
+  harvestSignal,
+  abortSession,
+  checkSession,
+  isSessionAborted,
+  trackProgress,
+  getSnapshot,
+  streamContents,
+  notifyProgress,
+  profileRendering,
+  endProfiling,
+  addOutlineNode,
+  setOutlineChildCount,
+  reportRendering,
+  runInSession,
+  retryRendering,
+  limitRenderingTime,
+  recordProgress,
+  withoutRelaksSeeds,
+  isErrorBoundary,
+  isPartial,
+  isStreaming,
+  isAsyncComponent,
+  findSeed,
+  markError,
+  getComponentStack,
+  addSeed,
+  getProgressElement,
+  getTime,
+  isPromise,
+};
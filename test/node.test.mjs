@@ -0,0 +1,97 @@
+// tests that need to run in Node.js itself, as an ES module, instead of in the
+// browser bundle produced by webpack
+import Bluebird from 'bluebird';
+import Chai from 'chai';
+import ChaiAsPromised from 'chai-as-promised';
+import React from 'react';
+import Relaks from 'relaks';
+import { harvest, harvestToString, harvestToNodeStream, harvesting } from '../src/react.mjs';
+
+const { expect } = Chai;
+const { delay } = Bluebird;
+const { AsyncComponent } = Relaks;
+const h = React.createElement;
+
+Chai.use(ChaiAsPromised);
+
+class AsyncTestComponent extends AsyncComponent {
+  async renderAsync(meanwhile) {
+    meanwhile.show(h('div', {}, 'Loading...'));
+    await delay(50);
+    return h('span', {}, this.props.text);
+  }
+}
+
+class AsyncComponentCheckingHarvest extends AsyncComponent {
+  async renderAsync(meanwhile) {
+    await delay(50);
+    return h('span', {}, harvesting() + '');
+  }
+}
+
+async function readStream(stream) {
+  let text = '';
+  for await (let chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe('Node test', function() {
+  describe('#harvesting()', function() {
+    it ('should return true after an await', async function() {
+      const element = h(AsyncComponentCheckingHarvest);
+      const harvested = await harvest(element);
+      expect(harvested.props.children).to.equal('true');
+      expect(harvesting()).to.be.false;
+    })
+  })
+  describe('#harvestToString()', function() {
+    it ('should load the server renderer', async function() {
+      const element = h('div', {}, h(AsyncTestComponent, { text: 'Hello' }));
+      const { html, errors } = await harvestToString(element, { staticMarkup: true });
+      expect(html).to.equal('<div><span>Hello</span></div>');
+      expect(errors).to.be.empty;
+    })
+  })
+  describe('#harvestToNodeStream()', function() {
+    it ('should send placeholders for pending components first', async function() {
+      const element = h('div', {}, h(AsyncTestComponent, { text: 'Hello' }));
+      const html = await readStream(harvestToNodeStream(element));
+      expect(html).to.match(/^<div><harvest-slot id="rh-0"><div>Loading...<\/div><\/harvest-slot><\/div>/);
+      expect(html).to.contain('<template id="rh-0-t"><span>Hello</span></template>');
+      expect(html).to.contain('<script>$RH("rh-0")</script>');
+    })
+  })
+})
+
+describe('Node test (Preact)', function() {
+  let Preact, RelaksPreact, PreactHarvest;
+
+  before(async function() {
+    try {
+      Preact = await import('preact');
+    } catch (err) {
+      // Preact's ES module can only be loaded from Node.js 20.19 onward
+      this.skip();
+    }
+    RelaksPreact = (await import('relaks/preact.js')).default;
+    PreactHarvest = await import('../src/preact.mjs');
+  })
+
+  describe('#harvestToString()', function() {
+    it ('should load the server renderer', async function() {
+      const { h } = Preact;
+      class AsyncTestComponent extends RelaksPreact.AsyncComponent {
+        async renderAsync(meanwhile) {
+          await delay(50);
+          return h('span', {}, this.props.text);
+        }
+      }
+      const element = h('div', {}, h(AsyncTestComponent, { text: 'Hello' }));
+      const { html, errors } = await PreactHarvest.harvestToString(element);
+      expect(html).to.equal('<div><span>Hello</span></div>');
+      expect(errors).to.be.empty;
+    })
+  })
+})
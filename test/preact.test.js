@@ -1,12 +1,14 @@
 import Bluebird from 'bluebird';
 import Chai, { expect } from 'chai';
 import ChaiAsPromised from 'chai-as-promised';
-import { h, Component } from 'preact'
+import { h, Component, createContext } from 'preact'
+import { useState, useContext, useReducer, useMemo, useCallback, useRef, useEffect, useLayoutEffect } from 'preact/hooks';
+import { forwardRef, memo, lazy, Suspense, createRef } from 'preact/compat';
 import { renderToString } from 'preact-render-to-string';
 import Enzyme, { shallow, mount } from 'enzyme';
 import Adapter from 'enzyme-adapter-preact-pure';
 import { AsyncComponent } from 'relaks/preact';
-import { harvest } from '../preact.mjs';
+import { harvest, harvestProgressively, harvestToString, harvestToNodeStream, harvestToReadableStream, serializeSeeds, deserializeSeeds, formatTrace, formatOutline, plant, harvesting, harvestSignal } from '../src/preact.mjs';
 
 Chai.use(ChaiAsPromised);
 
@@ -81,6 +83,35 @@ class BrokenAsyncComponent extends AsyncComponent {
   }
 }
 
+class ErrorBoundary extends Component {
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    if (this.props.onCatch) {
+      this.props.onCatch(error, info);
+    }
+  }
+
+  render(props, state) {
+    if (state.error) {
+      return <div>Error: {state.error.message}</div>;
+    }
+    return props.children;
+  }
+}
+
+class ErrorBoundaryUsingSetState extends Component {
+  componentDidCatch(error) {
+    this.setState({ failed: true });
+  }
+
+  render(props, state) {
+    return (state.failed) ? <div>Failed</div> : props.children;
+  }
+}
+
 class ComponentWatchingForMount extends Component {
   constructor(props) {
     super(props);
@@ -115,6 +146,183 @@ class ComponentWithDerivedState extends Component {
   }
 }
 
+function SyncTestHarvestingComponent(props) {
+  return <span>{harvesting() + ''}</span>;
+}
+
+class AwaitingTestHarvestingComponent extends AsyncComponent {
+  async renderAsync(meanwhile, props) {
+    await Bluebird.delay(20);
+    return <span>{harvesting() + ''}</span>;
+  }
+}
+
+class SlowTestComponent extends AsyncComponent {
+  async renderAsync(meanwhile, props) {
+    meanwhile.show(<div>Loading...</div>, 'initial');
+    await Bluebird.delay(props.delay);
+    return props.children;
+  }
+}
+
+function FunctionalComponentUsingState(props) {
+  const { hello } = props;
+  const [ world, setWorld ] = useState('world');
+  return <span>{hello} {world}</span>;
+}
+
+function FunctionalComponentUsingOtherHooks(props) {
+  const { name } = props;
+  const memoized = useMemo(() => {
+    return name.toUpperCase();
+  }, [ name ]);
+  const [ count ] = useReducer((state, action) => state + action, 1);
+  const callback = useCallback(() => {
+    console.log('callback');
+  });
+  const ref = useRef();
+  useEffect(() => {
+    throw new Error('Effect should not run');
+  });
+  useLayoutEffect(() => {
+    throw new Error('Effect should not run');
+  });
+  return <span ref={ref} onClick={callback}>Hello {memoized} {count}</span>;
+}
+
+function AsyncFunctionalComponentUsingState(props) {
+  return <span>Loading...</span>;
+}
+AsyncFunctionalComponentUsingState.renderAsyncEx = async function(props) {
+  const { hello } = props;
+  const [ world ] = useState('world');
+  await Bluebird.delay(100);
+  return <span>{hello} {world}</span>;
+};
+
+const ThemeContext = createContext('light');
+
+class ComponentUsingContext extends Component {
+  render(props, state, context) {
+    return <span>{this.context}</span>;
+  }
+}
+ComponentUsingContext.contextType = ThemeContext;
+
+class AsyncComponentUsingContext extends AsyncComponent {
+  async renderAsync(meanwhile) {
+    meanwhile.show(<div>Loading...</div>, 'initial');
+    await Bluebird.delay(100);
+    return <span>{this.context}</span>;
+  }
+}
+AsyncComponentUsingContext.contextType = ThemeContext;
+
+function FunctionalComponentUsingContext(props) {
+  const context = useContext(ThemeContext);
+  return <span>{context}</span>;
+}
+
+class ComponentProvidingLegacyContext extends Component {
+  getChildContext() {
+    return { color: 'purple' };
+  }
+
+  render(props) {
+    return props.children;
+  }
+}
+
+function ComponentUsingLegacyContext(props, context) {
+  return <span>{context.color}</span>;
+}
+
+const ComponentUsingForwardRef = forwardRef((props, ref) => {
+  return <span ref={ref}>{props.greeting} {props.name}</span>;
+});
+
+const MemoComponentUsingForwardRef = memo(ComponentUsingForwardRef);
+MemoComponentUsingForwardRef.defaultProps = { greeting: 'Hello' };
+
+const LazyComponent = lazy(async () => {
+  await Bluebird.delay(50);
+  return { default: ComponentUsingContext };
+});
+
+function createResource(value, ms) {
+  let loaded = false;
+  let promise;
+  return {
+    read() {
+      if (loaded) {
+        return value;
+      }
+      if (!promise) {
+        promise = Bluebird.delay(ms).then(() => {
+          loaded = true;
+        });
+      }
+      throw promise;
+    }
+  };
+}
+
+function ComponentUsingSuspense(props) {
+  const text = props.resource.read();
+  return <span>{text}</span>;
+}
+
+// Node-specific functions can't be tested in the browser
+const itInNode = (typeof(process) === 'object' && process.versions && process.versions.node) ? it : it.skip;
+
+async function findUnhandledRejections(cb) {
+  const reasons = [];
+  const onNodeRejection = (reason) => {
+    reasons.push(reason);
+  };
+  const onWindowRejection = (evt) => {
+    reasons.push(evt.reason);
+    evt.preventDefault();
+  };
+  process.on('unhandledRejection', onNodeRejection);
+  window.addEventListener('unhandledrejection', onWindowRejection);
+  try {
+    await cb();
+  } finally {
+    process.removeListener('unhandledRejection', onNodeRejection);
+    window.removeEventListener('unhandledrejection', onWindowRejection);
+  }
+  return reasons;
+}
+
+async function readStream(stream) {
+  let text = '';
+  for await (let chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+async function readWebStream(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder;
+  let text = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return text;
+    }
+    text += decoder.decode(value);
+  }
+}
+
+function runScripts(container) {
+  for (let script of container.querySelectorAll('script')) {
+    // run in global scope
+    (0, eval)(script.textContent);
+  }
+}
+
 function stringify(element) {
   return renderToString(element);
 }
@@ -286,6 +494,248 @@ describe('Preact test', function() {
       const element = <BrokenAsyncComponent />;
       return expect(harvest(element)).to.eventually.be.rejected;
     })
+    it ('should not leave pending siblings of a broken sync component unhandled', async function() {
+      const element = (
+        <div>
+          <BrokenAsyncComponent />
+          <BrokenSyncComponent />
+        </div>
+      );
+      const reasons = await findUnhandledRejections(async () => {
+        await expect(harvest(element)).to.eventually.be.rejected;
+        await Bluebird.delay(150);
+      });
+      expect(reasons).to.be.empty;
+    })
+    it ('should replace broken components with a fallback when asked to', async function() {
+      const errors = [];
+      const element = (
+        <div>
+          <BrokenAsyncComponent />
+          <SlowTestComponent delay={150}>
+            <span>Done</span>
+          </SlowTestComponent>
+          <BrokenSyncComponent />
+        </div>
+      );
+      const onError = (error) => {
+        errors.push(error);
+      };
+      const result = await harvest(element, { details: true, onError, errorFallback: <span>Error</span> });
+      expect(stringify(result.element)).to.equal('<div><span>Error</span><span>Done</span><span>Error</span></div>');
+      expect(result.errors).to.have.lengthOf(2);
+      expect(result.errors.map((e) => e.path)).to.have.members([ 'BrokenAsyncComponent/BrokenSyncComponent', 'BrokenSyncComponent' ]);
+      expect(result.errors[0].error).to.be.an.instanceof(Error);
+      expect(errors).to.eql(result.errors);
+    })
+    it ('should use the progress element of a failed component when there is no fallback', async function() {
+      class FailingAsyncComponent extends AsyncComponent {
+        async renderAsync(meanwhile) {
+          meanwhile.show(<div>Loading...</div>, 'initial');
+          await Bluebird.delay(50);
+          throw new Error('Failed');
+        }
+      }
+      const result = await harvest(<FailingAsyncComponent />, { details: true, onError: () => {} });
+      expect(stringify(result.element)).to.equal('<div>Loading...</div>');
+      expect(result.errors[0]).to.have.property('type', FailingAsyncComponent);
+      expect(result.errors[0].error).to.have.property('message', 'Failed');
+    })
+    it ('should call errorFallback to obtain the fallback when it is a function', async function() {
+      const element = (
+        <section>
+          <BrokenAsyncComponent />
+        </section>
+      );
+      const errorFallback = ({ path }) => <span>{path}</span>;
+      const result = await harvest(element, { details: true, errorFallback });
+      expect(stringify(result.element)).to.equal('<section><span>BrokenAsyncComponent/BrokenSyncComponent</span></section>');
+    })
+    it ('should render a failed component again when there is a retry policy', async function() {
+      let count = 0;
+      class FlakyComponent extends AsyncComponent {
+        async renderAsync(meanwhile) {
+          await Bluebird.delay(10);
+          if (++count < 3) {
+            throw new Error('Flaky');
+          }
+          return <span>Done</span>;
+        }
+      }
+      const result = await harvest(<FlakyComponent />, { details: true, retry: { attempts: 3, backoff: 10 } });
+      expect(stringify(result.element)).to.equal('<span>Done</span>');
+      expect(result.attempts.map((a) => a.attempt)).to.eql([ 1, 2 ]);
+      expect(result.attempts.map((a) => a.retried)).to.eql([ true, true ]);
+      expect(result.attempts[0]).to.have.property('type', FlakyComponent);
+      expect(result.attempts[0].error).to.have.property('message', 'Flaky');
+    })
+    it ('should not retry when the predicate returns false', async function() {
+      let count = 0;
+      class FailingComponent extends AsyncComponent {
+        async renderAsync(meanwhile) {
+          await Bluebird.delay(10);
+          count++;
+          throw new Error('Fatal');
+        }
+      }
+      const shouldRetry = (err) => err.message !== 'Fatal';
+      const result = await harvest(<FailingComponent />, { details: true, retry: { attempts: 3, shouldRetry }, errorFallback: null });
+      expect(count).to.equal(1);
+      expect(result.attempts).to.have.lengthOf(1);
+      expect(result.attempts[0]).to.have.property('retried', false);
+      expect(result.errors).to.have.lengthOf(1);
+    })
+    it ('should use the retry policy of a component over the one in options', async function() {
+      let count = 0;
+      class FlakyComponent extends AsyncComponent {
+        async renderAsync(meanwhile) {
+          await Bluebird.delay(10);
+          if (++count < 3) {
+            throw new Error('Flaky');
+          }
+          return <span>Done</span>;
+        }
+      }
+      FlakyComponent.harvestRetry = { attempts: 2 };
+      const result = await harvest(<FlakyComponent />, { details: true, retry: 5, errorFallback: null });
+      expect(count).to.equal(2);
+      expect(result.attempts.map((a) => a.retried)).to.eql([ true, false ]);
+      expect(result.errors).to.have.lengthOf(1);
+    })
+    it ('should report the progress of async components through onProgress', async function() {
+      class FailingAsyncComponent extends AsyncComponent {
+        async renderAsync(meanwhile) {
+          await Bluebird.delay(10);
+          throw new Error('Failed');
+        }
+      }
+      const reports = [];
+      const onProgress = (report) => {
+        reports.push(report);
+      };
+      const element = (
+        <div>
+          <SlowTestComponent delay={20}>
+            <span>A</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={50}>
+            <FailingAsyncComponent />
+          </SlowTestComponent>
+        </div>
+      );
+      await harvest(element, { onProgress, errorFallback: null });
+      const statuses = reports.map((r) => r.component.status);
+      expect(statuses).to.eql([ 'pending', 'pending', 'completed', 'completed', 'pending', 'failed' ]);
+      expect(reports[1]).to.include({ pending: 2, completed: 0, failed: 0 });
+      expect(reports[5]).to.include({ pending: 0, completed: 2, failed: 1 });
+      expect(reports[5].component).to.have.property('type', FailingAsyncComponent);
+      expect(reports[5].component).to.have.property('path', 'SlowTestComponent/FailingAsyncComponent');
+    })
+    it ('should produce a profile of the harvest when asked to', async function() {
+      function Leaf(props) {
+        return <b>Leaf</b>;
+      }
+      const element = (
+        <div>
+          <SlowTestComponent delay={20}>
+            <span>A</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={50}>
+            <SlowTestComponent delay={50}>
+              <Leaf />
+            </SlowTestComponent>
+          </SlowTestComponent>
+        </div>
+      );
+      const { profile } = await harvest(element, { details: true, profile: true });
+      const { components, criticalPath } = profile;
+      expect(components.map((c) => c.path)).to.eql([
+        'SlowTestComponent',
+        'SlowTestComponent',
+        'SlowTestComponent/SlowTestComponent',
+        'SlowTestComponent/SlowTestComponent/Leaf',
+      ]);
+      expect(components.map((c) => c.parent)).to.eql([ null, null, 1, 2 ]);
+      expect(components.map((c) => c.async)).to.eql([ true, true, true, false ]);
+      expect(components[1].asyncTime).to.be.at.least(40);
+      expect(components[3].asyncTime).to.equal(0);
+      expect(components[2].start).to.be.at.least(components[1].end);
+      expect(criticalPath).to.eql([ 1, 2, 3 ]);
+      expect(profile.duration).to.be.at.least(components[3].end);
+    })
+    it ('should produce an outline of the component hierarchy when asked to', async function() {
+      function Leaf(props) {
+        return <b>{props.name}</b>;
+      }
+      const MemoLeaf = memo(Leaf);
+      const element = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <SlowTestComponent key="a" delay={20}>
+              <span>A</span>
+            </SlowTestComponent>
+            <MemoLeaf name="Bob" />
+          </div>
+        </ThemeContext.Provider>
+      );
+      const { outline } = await harvest(element, { details: true, outline: true });
+      expect(outline).to.have.lengthOf(1);
+      expect(outline[0]).to.have.property('kind', 'context');
+      expect(outline[0].children.map((c) => c.order)).to.eql([ 1, 2 ]);
+      expect(formatOutline(outline)).to.equal([
+        'Provider value="dark" (context, 1 child)',
+        '  SlowTestComponent key="a" delay={20} (async, 1 child)',
+        '  Leaf name="Bob" (memo, 1 child)',
+      ].join('\n'));
+    })
+    it ('should render an error boundary in its error state when a sync component is broken', async function() {
+      const element = (
+        <div>
+          <ErrorBoundary>
+            <BrokenSyncComponent />
+          </ErrorBoundary>
+          <span>Fine</span>
+        </div>
+      );
+      const harvested = await harvest(element);
+      expect(stringify(harvested)).to.match(/^<div><div>Error: .+<\/div><span>Fine<\/span><\/div>$/);
+    })
+    it ('should let an error boundary catch errors from an async component', async function() {
+      let caught;
+      const onCatch = (error, info) => {
+        caught = { error, info };
+      };
+      const element = (
+        <div>
+          <ErrorBoundary onCatch={onCatch}>
+            <BrokenAsyncComponent />
+          </ErrorBoundary>
+          <SlowTestComponent delay={150}>
+            <span>Done</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const harvested = await harvest(element);
+      expect(stringify(harvested)).to.match(/^<div><div>Error: .+<\/div><span>Done<\/span><\/div>$/);
+      expect(caught.error).to.be.an.instanceof(Error);
+      expect(caught.info.componentStack).to.equal('\n    in BrokenSyncComponent\n    in BrokenAsyncComponent\n    in ErrorBoundary');
+    })
+    it ('should let errors from the error state go to the next error boundary', async function() {
+      class FailingErrorBoundary extends ErrorBoundary {
+        render(props, state) {
+          return (state.error) ? <BrokenSyncComponent /> : props.children;
+        }
+      }
+      const element = (
+        <ErrorBoundaryUsingSetState>
+          <FailingErrorBoundary>
+            <BrokenAsyncComponent />
+          </FailingErrorBoundary>
+        </ErrorBoundaryUsingSetState>
+      );
+      const harvested = await harvest(element);
+      expect(stringify(harvested)).to.equal('<div>Failed</div>');
+    })
     it ('should collect rendering of async elements', async function() {
       const garbage = (
         <div>
@@ -314,5 +764,711 @@ describe('Preact test', function() {
       const asyncHTML = stringify(entry.result);
       expect(asyncHTML).to.equal(syncHTML);
     })
+    it ('should use the progress element of a component that takes too long', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={500}>
+            <span>Done</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const result = await harvest(element, { details: true, componentTimeout: 50 });
+      const asyncHTML = stringify(result.element);
+      expect(asyncHTML).to.equal('<div><div>Loading...</div></div>');
+      expect(result.timeouts).to.be.an('array').that.has.lengthOf(1);
+      expect(result.timeouts[0]).to.have.property('type', SlowTestComponent);
+    })
+    it ('should stop waiting for components when the time limit is reached', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={10}>
+            <span>Fast</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={500}>
+            <span>Slow</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const result = await harvest(element, { details: true, timeout: 100 });
+      const asyncHTML = stringify(result.element);
+      expect(asyncHTML).to.equal('<div><span>Fast</span><div>Loading...</div></div>');
+      expect(result.timeouts).to.have.lengthOf(1);
+    })
+    it ('should return the harvested tree unless details are asked for', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={500}>
+            <span>Slow</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const harvested = await harvest(element, { componentTimeout: 50, profile: true, outline: true, errorFallback: null });
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><div>Loading...</div></div>');
+    })
+    it ('should reject with an AbortError when the harvest is aborted', async function() {
+      let rendered = false;
+      function Child(props) {
+        rendered = true;
+        return null;
+      }
+      const element = (
+        <SlowTestComponent delay={100}>
+          <Child />
+        </SlowTestComponent>
+      );
+      const controller = new AbortController;
+      const promise = harvest(element, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      let error;
+      try {
+        await promise;
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.have.property('name', 'AbortError');
+      await Bluebird.delay(150);
+      expect(rendered).to.be.false;
+    })
+    it ('should abort the signal given to components when a sibling fails', async function() {
+      let signal;
+      function ComponentWatchingSignal(props) {
+        signal = harvestSignal();
+        return null;
+      }
+      const element = (
+        <div>
+          <ComponentWatchingSignal />
+          <BrokenAsyncComponent />
+        </div>
+      );
+      const promise = harvest(element);
+      expect(signal).to.have.property('aborted', false);
+      await expect(promise).to.eventually.be.rejected;
+      expect(signal).to.have.property('aborted', true);
+    })
+    it ('should be able to harvest a function component that uses useState', async function() {
+      const element = <FunctionalComponentUsingState hello="hello" />;
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+    })
+    it ('should be able to harvest an async function component that uses useState', async function() {
+      const syncElement = <FunctionalComponentUsingState hello="hello" />;
+      const asyncElement = <AsyncFunctionalComponentUsingState hello="hello" />;
+      const harvested = await harvest(asyncElement);
+      const syncHTML = stringify(syncElement);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+    })
+    it ('should be able to harvest a component that use other kinds of hooks', async function() {
+      const element = <FunctionalComponentUsingOtherHooks name="Katie" />;
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+    })
+    it ('should be able to harvest a component that uses context', async function() {
+      const element = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <ComponentUsingContext />
+          </div>
+        </ThemeContext.Provider>
+      );
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+      expect(asyncHTML).to.equal('<div><span>dark</span></div>');
+    })
+    it ('should be able to harvest a component that uses the default context', async function() {
+      const element = (
+        <div>
+          <ComponentUsingContext />
+        </div>
+      );
+      const harvested = await harvest(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><span>light</span></div>');
+    })
+    it ('should be able to harvest an asynchronous component that uses context', async function() {
+      const asyncElement = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <AsyncComponentUsingContext />
+          </div>
+        </ThemeContext.Provider>
+      );
+      const harvested = await harvest(asyncElement);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><span>dark</span></div>');
+    })
+    it ('should be able to harvest a context consumer', async function() {
+      const element = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <ThemeContext.Consumer>
+            {value => <span>{value}</span>}
+            </ThemeContext.Consumer>
+          </div>
+        </ThemeContext.Provider>
+      );
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+    })
+    it ('should be able to harvest a functional component that uses useContext', async function() {
+      const element = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <FunctionalComponentUsingContext />
+          </div>
+        </ThemeContext.Provider>
+      );
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+      expect(asyncHTML).to.equal('<div><span>dark</span></div>');
+    })
+    it ('should be able to harvest a component that uses legacy context', async function() {
+      const element = (
+        <ComponentProvidingLegacyContext>
+          <div>
+            <ComponentUsingLegacyContext />
+          </div>
+        </ComponentProvidingLegacyContext>
+      );
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+      expect(asyncHTML).to.equal('<div><span>purple</span></div>');
+    })
+    it ('should be able to harvest a component created by forwardRef()', async function() {
+      const ref = createRef();
+      const element = <ComponentUsingForwardRef ref={ref} greeting="Hello" name="Katie" />;
+      const harvested = await harvest(element);
+      const syncHTML = stringify(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal(syncHTML);
+      expect(asyncHTML).to.equal('<span>Hello Katie</span>');
+    })
+    it ('should apply default props of a memo wrapping a forwardRef component', async function() {
+      const element = <MemoComponentUsingForwardRef name="Katie" />;
+      const harvested = await harvest(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<span>Hello Katie</span>');
+    })
+    it ('should look through memo() and forwardRef() like the React build does', async function() {
+      const Greeting = memo(forwardRef(function Greeting(props, ref) {
+        return <span ref={ref}>{props.greeting} {props.name}</span>;
+      }));
+      const element = <Greeting name="Katie" greeting="Hi" />;
+      const { element: harvested, outline } = await harvest(element, { details: true, outline: true });
+      expect(stringify(harvested)).to.equal('<span>Hi Katie</span>');
+      expect(formatOutline(outline)).to.equal('Greeting name="Katie" greeting="Hi" (memo, 1 child)');
+    })
+    it ('should be able to harvest a component loaded by lazy()', async function() {
+      const asyncElement = (
+        <ThemeContext.Provider value="dark">
+          <div>
+            <LazyComponent />
+          </div>
+        </ThemeContext.Provider>
+      );
+      const harvested = await harvest(asyncElement);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><span>dark</span></div>');
+
+      // the loaded component should be remembered
+      const start = new Date;
+      const harvestedAgain = await harvest(asyncElement);
+      expect(new Date - start).to.be.below(50);
+      expect(stringify(harvestedAgain)).to.equal(asyncHTML);
+    })
+    it ('should wait for a component that throws a promise', async function() {
+      const element = (
+        <div>
+          <Suspense fallback={<span>Loading...</span>}>
+            <ComponentUsingSuspense resource={createResource('Hello', 50)} />
+            <AsyncTestComponent />
+          </Suspense>
+        </div>
+      );
+      const harvested = await harvest(element);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><span>Hello</span><div class="test"><section><h1>Test</h1></section></div></div>');
+    })
+    it ('should use the fallback of a Suspense boundary when asked to', async function() {
+      const element = (
+        <div>
+          <Suspense fallback={<span>Loading...</span>}>
+            <ComponentUsingSuspense resource={createResource('Hello', 50)} />
+          </Suspense>
+        </div>
+      );
+      const harvested = await harvest(element, { suspenseFallback: true });
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<div><span>Loading...</span></div>');
+    })
+    it ('should produce keyed seeds when asked to', async function() {
+      const element = (
+        <div>
+          <StatelessComponentReturningAsync />
+          <StatelessComponentReturningAsync />
+          <AsyncTestComponent>
+            <h1>Hello</h1>
+          </AsyncTestComponent>
+        </div>
+      );
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      expect(seeds).to.be.an('array').that.has.lengthOf(3);
+      const keys = seeds.map((s) => s.key);
+      expect(keys[0]).to.match(/^StatelessComponentReturningAsync\/AsyncTestComponent:[0-9a-f]+$/);
+      expect(keys[1]).to.equal(keys[0] + '#1');
+      expect(keys[2]).to.match(/^AsyncTestComponent:[0-9a-f]+$/);
+      expect(seeds[2]).to.have.property('type', 'AsyncTestComponent');
+      expect(seeds[2].result).to.eql({
+        $element: '@SyncTestComponent',
+        props: {
+          children: { $element: 'h1', props: { children: 'Hello' } }
+        }
+      });
+
+      // keys should be the same next time
+      const seedsAgain = await harvest(element, { seeds: 'keyed' });
+      expect(seedsAgain.map((s) => s.key)).to.eql(keys);
+    })
+    it ('should collect seeds only from components accepted by a predicate', async function() {
+      const element = (
+        <div>
+          <AsyncTestComponent />
+          <SlowTestComponent delay={50} />
+        </div>
+      );
+      const filter = (type) => type !== SlowTestComponent;
+      const { seeds, skippedSeeds } = await harvest(element, { details: true, seeds: filter });
+      expect(seeds).to.have.lengthOf(1);
+      expect(seeds[0]).to.have.property('type', AsyncTestComponent);
+      expect(skippedSeeds).to.have.lengthOf(1);
+      expect(skippedSeeds[0]).to.have.property('type', SlowTestComponent);
+      expect(skippedSeeds[0]).to.have.property('reason', 'excluded');
+    })
+    it ('should collect seeds according to include and exclude lists', async function() {
+      class OptOutComponent extends AsyncTestComponent {}
+      OptOutComponent.harvestSeed = false;
+      const element = (
+        <div>
+          <AsyncTestComponent />
+          <SlowTestComponent delay={50} />
+          <OptOutComponent />
+        </div>
+      );
+      const included = await harvest(element, { details: true, seeds: { include: [ SlowTestComponent, OptOutComponent ] } });
+      expect(included.seeds.map((s) => s.type)).to.eql([ SlowTestComponent ]);
+      const excluded = await harvest(element, { details: true, seeds: { exclude: [ SlowTestComponent ] } });
+      expect(excluded.seeds.map((s) => s.type)).to.eql([ AsyncTestComponent ]);
+      expect(excluded.skippedSeeds.map((s) => s.type)).to.have.members([ SlowTestComponent, OptOutComponent ]);
+    })
+    it ('should apply include and exclude lists to memo components', async function() {
+      const MemoComponent = memo(SlowTestComponent);
+      const element = (
+        <div>
+          <AsyncTestComponent />
+          <MemoComponent delay={50} />
+        </div>
+      );
+      const excluded = await harvest(element, { details: true, seeds: { exclude: [ MemoComponent ] } });
+      expect(excluded.seeds.map((s) => s.type)).to.eql([ AsyncTestComponent ]);
+      const included = await harvest(element, { details: true, seeds: { include: [ MemoComponent ] } });
+      expect(included.seeds.map((s) => s.type)).to.eql([ SlowTestComponent ]);
+    })
+    it ('should stop collecting seeds when the size limit is reached', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={20} />
+          <SlowTestComponent delay={50} />
+        </div>
+      );
+      const [ seed ] = await harvest(<SlowTestComponent delay={20} />, { seeds: 'keyed' });
+      const maxSize = JSON.stringify(seed).length + 10;
+      const { seeds, skippedSeeds } = await harvest(element, { details: true, seeds: { format: 'keyed', maxSize } });
+      expect(seeds).to.have.lengthOf(1);
+      expect(skippedSeeds).to.have.lengthOf(1);
+      expect(skippedSeeds[0]).to.have.property('reason', 'size');
+      expect(skippedSeeds[0]).to.have.property('props').that.has.property('delay', 50);
+    })
+    it ('should record what async components have passed to show()', async function() {
+      const element = (
+        <SlowTestComponent delay={10}>
+          <span>Done</span>
+        </SlowTestComponent>
+      );
+      const [ seed ] = await harvest(element, { seeds: true });
+      expect(seed.progress).to.have.lengthOf(1);
+      expect(seed.progress[0]).to.have.property('label', 'initial');
+      expect(stringify(seed.progress[0].element)).to.equal('<div>Loading...</div>');
+      const [ keyedSeed ] = await harvest(element, { seeds: 'keyed' });
+      expect(keyedSeed.progress).to.eql([
+        { element: { $element: 'div', props: { children: 'Loading...' } }, label: 'initial' }
+      ]);
+    })
+  })
+  describe('#harvesting()', function() {
+    it ('should return true after an await in an async component', async function() {
+      const harvested = await harvest(<AwaitingTestHarvestingComponent />);
+      const asyncHTML = stringify(harvested);
+      expect(asyncHTML).to.equal('<span>true</span>');
+      expect(harvesting()).to.be.false;
+    })
+    it ('should not be affected by the completion of an overlapping harvest', async function() {
+      const fastElement = <SlowTestComponent delay={20} />;
+      const slowElement = (
+        <SlowTestComponent delay={100}>
+          <SyncTestHarvestingComponent />
+        </SlowTestComponent>
+      );
+      const [ fast, slow ] = await Promise.all([
+        harvest(fastElement),
+        harvest(slowElement),
+      ]);
+      const asyncHTML = stringify(slow);
+      expect(asyncHTML).to.equal('<span>true</span>');
+      expect(harvesting()).to.be.false;
+    })
+  })
+  describe('#harvestProgressively()', function() {
+    it ('should yield trees as async components finish rendering', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={50}>
+            <span>A</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={150}>
+            <span>B</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const results = [];
+      for await (let harvested of harvestProgressively(element)) {
+        results.push(stringify(harvested));
+      }
+      expect(results).to.eql([
+        '<div><div>Loading...</div><div>Loading...</div></div>',
+        '<div><span>A</span><div>Loading...</div></div>',
+        '<div><span>A</span><span>B</span></div>',
+      ]);
+    })
+    it ('should stop the harvest when the caller stops iterating', async function() {
+      let signal;
+      function ComponentWatchingSignal(props) {
+        signal = harvestSignal();
+        return null;
+      }
+      const element = (
+        <SlowTestComponent delay={100}>
+          <ComponentWatchingSignal />
+        </SlowTestComponent>
+      );
+      for await (let harvested of harvestProgressively(element)) {
+        break;
+      }
+      await Bluebird.delay(150);
+      expect(signal).to.be.undefined;
+    })
+  })
+  describe('#harvestToString()', function() {
+    it ('should render the harvested tree as HTML along with the seeds', async function() {
+      const element = (
+        <div>
+          <AsyncTestComponent />
+        </div>
+      );
+      const { html, seeds, errors } = await harvestToString(element);
+      expect(html).to.equal('<div><div class="test"><section><h1>Test</h1></section></div></div>');
+      expect(seeds).to.have.lengthOf(1);
+      expect(seeds[0]).to.have.property('type', AsyncTestComponent);
+      expect(errors).to.be.empty;
+    })
+    it ('should report the error when a component is broken', async function() {
+      const element = (
+        <div>
+          <BrokenAsyncComponent />
+        </div>
+      );
+      const { html, errors } = await harvestToString(element);
+      expect(html).to.be.null;
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.be.an('error');
+    })
+    it ('should reject with an AbortError when the harvest is aborted', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={100}>
+            <span>A</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const controller = new AbortController;
+      const promise = harvestToString(element, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      let error;
+      try {
+        await promise;
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.have.property('name', 'AbortError');
+    })
+  })
+  describe('#harvestToNodeStream()', function() {
+    itInNode ('should send placeholders for pending components first', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={50}>
+            <span>A</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const html = await readStream(harvestToNodeStream(element));
+      expect(html).to.match(/^<div><harvest-slot id="rh-0"><div>Loading...<\/div><\/harvest-slot><\/div>/);
+      expect(html).to.contain('<template id="rh-0-t"><span>A</span></template>');
+      expect(html).to.contain('<script>$RH("rh-0")</script>');
+    })
+    itInNode ('should produce HTML that ends up the same as the harvested tree', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={100}>
+            <SlowTestComponent delay={50}>
+              <span>A</span>
+            </SlowTestComponent>
+            <AsyncTestComponent />
+          </SlowTestComponent>
+          <h1>Hello</h1>
+        </div>
+      );
+      const html = await readStream(harvestToNodeStream(element, { idPrefix: 'test-' }));
+      const container = document.createElement('div');
+      container.innerHTML = html;
+      document.body.appendChild(container);
+      try {
+        runScripts(container);
+        for (let script of container.querySelectorAll('script')) {
+          script.parentNode.removeChild(script);
+        }
+        expect(container.innerHTML).to.equal(stringify(await harvest(element)));
+      } finally {
+        document.body.removeChild(container);
+      }
+    })
+    itInNode ('should emit an error when a component is broken', async function() {
+      const element = (
+        <div>
+          <BrokenAsyncComponent />
+        </div>
+      );
+      await expect(readStream(harvestToNodeStream(element))).to.eventually.be.rejected;
+    })
+  })
+  describe('#harvestToReadableStream()', function() {
+    it ('should produce the same HTML as the harvested tree', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={100}>
+            <SlowTestComponent delay={50}>
+              <span>A</span>
+            </SlowTestComponent>
+            <AsyncTestComponent />
+          </SlowTestComponent>
+          <h1>Hello</h1>
+        </div>
+      );
+      const html = await readWebStream(harvestToReadableStream(element));
+      expect(html).to.equal(stringify(await harvest(element)));
+    })
+    it ('should send what comes before a pending component right away', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={100}>
+            <span>A</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const reader = harvestToReadableStream(element).getReader();
+      const decoder = new TextDecoder;
+      const start = new Date;
+      const first = await reader.read();
+      expect(new Date - start).to.be.below(100);
+      expect(decoder.decode(first.value)).to.equal('<div>');
+      const second = await reader.read();
+      expect(decoder.decode(second.value)).to.equal('<span>A</span>');
+      await reader.cancel();
+    })
+    it ('should fail when the harvest is aborted', async function() {
+      const controller = new AbortController;
+      const element = (
+        <div>
+          <SlowTestComponent delay={100}>
+            <span>A</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const stream = harvestToReadableStream(element, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      let error;
+      try {
+        await readWebStream(stream);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.have.property('name', 'AbortError');
+    })
+  })
+  describe('#serializeSeeds()', function() {
+    it ('should produce JSON that can be placed in a script tag', async function() {
+      const element = (
+        <AsyncTestComponent>
+          <span>{'</script><script>alert("Boo!")</script>'}</span>
+        </AsyncTestComponent>
+      );
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      const json = serializeSeeds(seeds);
+      expect(json).to.not.contain('<');
+      expect(json).to.not.contain('>');
+      expect(JSON.parse(json)).to.eql(seeds);
+    })
+  })
+  describe('#deserializeSeeds()', function() {
+    it ('should recreate the elements in the seeds', async function() {
+      const element = (
+        <AsyncTestComponent>
+          <span>Hello</span>
+        </AsyncTestComponent>
+      );
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      const restored = deserializeSeeds(serializeSeeds(seeds), { SyncTestComponent });
+      expect(restored[0]).to.have.property('key', seeds[0].key);
+      expect(stringify(restored[0].result)).to.equal(stringify(await harvest(element)));
+    })
+    it ('should throw when a component is missing', async function() {
+      const element = <AsyncTestComponent />;
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      expect(() => deserializeSeeds(serializeSeeds(seeds), {})).to.throw();
+    })
+  })
+  describe('#formatTrace()', function() {
+    it ('should produce JSON in the Trace Event Format', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={20}>
+            <span>A</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={50}>
+            <span>B</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const { profile } = await harvest(element, { details: true, profile: true });
+      const { traceEvents } = JSON.parse(formatTrace(profile));
+      const slices = traceEvents.filter((e) => e.ph === 'X');
+      expect(slices).to.have.lengthOf(2);
+      expect(slices[0]).to.have.property('name', 'SlowTestComponent');
+      const begins = traceEvents.filter((e) => e.ph === 'b');
+      const ends = traceEvents.filter((e) => e.ph === 'e');
+      expect(begins.map((e) => e.id)).to.eql(ends.map((e) => e.id));
+      expect(begins.map((e) => e.args.critical)).to.eql([ false, true ]);
+      expect(ends[1].ts - begins[1].ts).to.be.at.least(40000);
+    })
+  })
+  describe('#plant()', function() {
+    afterEach(function() {
+      plant([]);
+    })
+    it ('should let harvest() use the seeds instead of rendering again', async function() {
+      const element = (
+        <div>
+          <AsyncTestComponent>
+            <span>Hello</span>
+          </AsyncTestComponent>
+        </div>
+      );
+      const seeds = await harvest(element, { seeds: true });
+      plant(seeds);
+      const start = new Date;
+      const harvested = await harvest(element);
+      expect(new Date - start).to.be.below(50);
+      expect(stringify(harvested)).to.equal('<div><div class="test"><section><h1>Test</h1><span>Hello</span></section></div></div>');
+
+      // seeds are used only once
+      const startAgain = new Date;
+      await harvest(element);
+      expect(new Date - startAgain).to.be.at.least(90);
+    })
+    it ('should accept keyed seeds', async function() {
+      const element = (
+        <div>
+          <AsyncTestComponent>
+            <span>Hello</span>
+          </AsyncTestComponent>
+        </div>
+      );
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      plant(deserializeSeeds(serializeSeeds(seeds), { SyncTestComponent }));
+      const start = new Date;
+      const harvested = await harvest(element);
+      expect(new Date - start).to.be.below(50);
+      expect(stringify(harvested)).to.equal('<div><div class="test"><section><h1>Test</h1><span>Hello</span></section></div></div>');
+    })
+    it ('should not use seeds of a component with different props', async function() {
+      const seeds = await harvest(<SlowTestComponent delay={100}><span>A</span></SlowTestComponent>, { seeds: true });
+      plant(seeds);
+      const harvested = await harvest(<SlowTestComponent delay={100}><span>B</span></SlowTestComponent>);
+      expect(stringify(harvested)).to.equal('<span>B</span>');
+    })
+    it ('should let async components rendered by Preact use the seeds', async function() {
+      const element = (
+        <div>
+          <AsyncTestComponent>
+            <span>Hello</span>
+          </AsyncTestComponent>
+        </div>
+      );
+      const seeds = await harvest(element, { seeds: true });
+      plant(seeds);
+      const wrapper = mount(element);
+      try {
+        expect(wrapper.html()).to.equal('<div><div class="test"><section><h1>Test</h1><span>Hello</span></section></div></div>');
+      } finally {
+        // let Relaks finish rendering again with the seeded contents
+        await Bluebird.delay(10);
+        wrapper.unmount();
+      }
+    })
+    it ('should let async components rendered by Preact use keyed seeds', async function() {
+      const element = (
+        <div>
+          <SlowTestComponent delay={50}>
+            <span>A</span>
+          </SlowTestComponent>
+          <SlowTestComponent delay={20}>
+            <span>B</span>
+          </SlowTestComponent>
+        </div>
+      );
+      const seeds = await harvest(element, { seeds: 'keyed' });
+      plant(deserializeSeeds(serializeSeeds(seeds), { SlowTestComponent }));
+      const wrapper = mount(element);
+      try {
+        expect(wrapper.html()).to.equal('<div><span>A</span><span>B</span></div>');
+      } finally {
+        // let Relaks finish rendering again with the seeded contents
+        await Bluebird.delay(10);
+        wrapper.unmount();
+      }
+    })
   })
 });